@@ -1,32 +1,92 @@
-/* app.js — Axis app logic
-   - Fetches a site (via demo CORS proxy)
-   - Extracts inline CSS/JS and external assets
-   - Downloads images & fonts (best-effort)
-   - Builds a project folder structure inside a zip
-   - Runs a heuristic "AI" scan and emits audit/report.md
-   - Names the zip after the site's domain (example.com.zip)
+/* app.js — Axis web UI
+   - Options, fetch backend picker (remembered in localStorage), scan/cancel/download buttons
+   - Audit rules panel: enable/disable rules and change severities, import/export axis.config.json
+   - Runs the pipeline from core.js and shows progress, the log, the HTML preview and the audit
+   - The last report can be downloaded on its own in any format of report.js (or as Markdown)
+   - Scan history (history.js): every run is kept in IndexedDB to view, re-download, delete or compare with another run
+   - Live preview (preview.js): the rebuilt site from the zip in a sandboxed iframe, with a file tree and the
+     resources that still load from the live site
+   - Project layout (scaffold.js): plain folders, or a project with package.json & dev server (optionally Vite);
+     Prettier is downloaded for it the first time it is needed
+   - Offline input (offline.js): a picked or dropped HAR file, saved page, folder or zip replaces the network;
+     the fetched responses can also be saved as a WARC file
 */
 
 /* ======= Configuration ======= */
-/* WARNING: public proxies are unreliable. For production, replace with server-side fetch. */
-const PROXY = 'https://api.allorigins.win/raw?url='; // demo proxy
+const FETCHER_STORAGE_KEY = 'axis.fetcher';
+const AUDIT_STORAGE_KEY = 'axis.audit';
+const HISTORY_ZIPS_KEY = 'axis.historyZips';
 const LOG_MAX = 2000;
+const CRAWL_PAGE_CAP = 200; // hard upper bound for the "Max pages" input
+const PRETTIER_CDN = 'https://unpkg.com/prettier@3.9.9/';
+const PRETTIER_SCRIPTS = ['standalone.js', 'plugins/html.js', 'plugins/postcss.js', 'plugins/babel.js', 'plugins/estree.js'];
 
 /* ======= UI elements ======= */
 const scanBtn = document.getElementById('scanBtn');
 const downloadBtn = document.getElementById('downloadBtn');
+const reportFormatSelect = document.getElementById('reportFormat');
+const downloadReportBtn = document.getElementById('downloadReportBtn');
+const cancelBtn = document.getElementById('cancelBtn');
 const statusText = document.getElementById('statusText');
 const progressEl = document.getElementById('progress');
 const quickKVs = document.getElementById('quickKVs');
 const quickReport = document.getElementById('quickReport');
+const weightEl = document.getElementById('weightBreakdown');
 const reportEl = document.getElementById('report');
 const htmlPreview = document.getElementById('htmlPreview');
 const logArea = document.getElementById('log');
 const issuesCount = document.getElementById('issuesCount');
 const timeTaken = document.getElementById('timeTaken');
+const crawlInput = document.getElementById('crawl');
+const autoFixInput = document.getElementById('autoFix');
+const warcInput = document.getElementById('warc');
+const downloadWarcBtn = document.getElementById('downloadWarcBtn');
+const inputPanel = document.querySelector('.input-panel');
+const openFileBtn = document.getElementById('openFileBtn');
+const openFolderBtn = document.getElementById('openFolderBtn');
+const clearOfflineBtn = document.getElementById('clearOfflineBtn');
+const offlineFileInput = document.getElementById('offlineFile');
+const offlineFolderInput = document.getElementById('offlineFolder');
+const offlineLabel = document.getElementById('offlineLabel');
+const checkLinksInput = document.getElementById('checkLinks');
+const externalLinksInput = document.getElementById('externalLinks');
+const maxDepthInput = document.getElementById('maxDepth');
+const maxPagesInput = document.getElementById('maxPages');
+const maxImageInput = document.getElementById('maxImageMB');
+const maxMediaInput = document.getElementById('maxMediaMB');
+const concurrencyInput = document.getElementById('concurrency');
+const timeoutInput = document.getElementById('timeoutSec');
+const scaffoldSelect = document.getElementById('scaffold');
+const backendSelect = document.getElementById('backend');
+const backendUrlInput = document.getElementById('backendUrl');
+const rulesList = document.getElementById('rulesList');
+const configFileInput = document.getElementById('configFile');
+const loadConfigBtn = document.getElementById('loadConfigBtn');
+const exportConfigBtn = document.getElementById('exportConfigBtn');
+const resetRulesBtn = document.getElementById('resetRulesBtn');
+const historyPanel = document.getElementById('history');
+const historyZipsInput = document.getElementById('historyZips');
+const historyList = document.getElementById('historyList');
+const compareBtn = document.getElementById('compareBtn');
+const clearHistoryBtn = document.getElementById('clearHistoryBtn');
+const diffView = document.getElementById('diffView');
+const previewPanel = document.getElementById('previewPanel');
+const previewBlockLiveInput = document.getElementById('previewBlockLive');
+const previewStatus = document.getElementById('previewStatus');
+const fileTree = document.getElementById('fileTree');
+const previewFrame = document.getElementById('previewFrame');
+const previewIssues = document.getElementById('previewIssues');
 
 let lastZipBlob = null;
 let lastDomainName = null;
+let lastRun = null; // processSite result (or a history record), for report downloads
+let historySelection = []; // records ticked for comparison
+let preview = null; // open preview.js session
+let previewZip = null; // zip the preview shows: the last run or a history record
+let previewCurrent = null; // project path shown in the preview
+let currentRun = null; // AbortController of the scan in progress
+let prettierLoading = null; // Promise of the Prettier scripts
+let offlineFiles = null; // [{path, bytes}] picked or dropped for the next scan (null: scan the network)
 
 /* ======= Utility Logging ======= */
 function log(msg){
@@ -35,420 +95,185 @@ function log(msg){
   if(logArea.value.length > LOG_MAX) logArea.value = logArea.value.slice(0, LOG_MAX);
 }
 
-/* Simple fetch wrappers using proxy */
-async function fetchText(url){
-  try {
-    const res = await fetch(PROXY + encodeURIComponent(url));
-    if(!res.ok) throw new Error(`HTTP ${res.status}`);
-    const text = await res.text();
-    return text;
-  } catch(e) {
-    log(`fetchText failed: ${url} — ${e.message}`);
-    return '';
+/* ======= Fetch backend settings ======= */
+/* Backend choice is remembered between visits */
+function loadFetcherConfig(){
+  try{
+    const cfg = JSON.parse(localStorage.getItem(FETCHER_STORAGE_KEY) || '{}');
+    return Object.assign({backend: 'public', proxyUrl: '', localUrl: LOCAL_FETCHER_URL}, cfg);
+  }catch(e){
+    return {backend: 'public', proxyUrl: '', localUrl: LOCAL_FETCHER_URL};
   }
 }
-async function fetchBlob(url){
-  try {
-    const res = await fetch(PROXY + encodeURIComponent(url));
-    if(!res.ok) throw new Error(`HTTP ${res.status}`);
-    const b = await res.blob();
-    return b;
-  } catch(e){
-    log(`fetchBlob failed: ${url} — ${e.message}`);
-    return null;
-  }
+function saveFetcherConfig(cfg){
+  try{ localStorage.setItem(FETCHER_STORAGE_KEY, JSON.stringify(cfg)); }
+  catch(e){ log('Could not save fetch backend choice: ' + e.message); }
 }
 
-/* Resolve relative URLs against a base domain */
-function resolveUrl(base, relative){
-  try{ return new URL(relative, base).href; }
-  catch(e){ return relative; }
-}
+let fetcherConfig = loadFetcherConfig();
 
-/* Extract url(...) tokens from CSS content */
-function extractUrlsFromCss(css){
-  const urls = [];
-  const re = /url\((?:'|")?([^'")]+)(?:'|")?\)/g;
-  let m;
-  while((m = re.exec(css)) !== null){
-    urls.push(m[1]);
-  }
-  return urls;
+/* ======= Audit rule settings ======= */
+/* Same shape as axis.config.json: {rules: {id: 'off' | 'info' | 'warn' | {severity, options}}, categories} */
+function loadAuditConfig(){
+  try{ return JSON.parse(localStorage.getItem(AUDIT_STORAGE_KEY) || '{}'); }
+  catch(e){ return {}; }
+}
+function saveAuditConfig(cfg){
+  try{ localStorage.setItem(AUDIT_STORAGE_KEY, JSON.stringify(cfg)); }
+  catch(e){ log('Could not save audit rules: ' + e.message); }
 }
 
-/* Create a safe filename from a URL */
-function fileNameFromUrl(url){
-  try{
-    const u = new URL(url);
-    let name = u.pathname.split('/').filter(Boolean).pop() || 'index';
-    name = name.split('?')[0];
-    if(!name.includes('.')) {
-      // try to guess extension from pathname or return 'asset'
-      const ext = (u.pathname.split('.').pop() || '').toLowerCase();
-      if(ext && ext.length <= 5) name = `${name}.${ext}`;
+let auditConfig = loadAuditConfig();
+
+/* One row per rule, grouped by category; the select shows the effective severity */
+function renderRulesPanel(){
+  rulesList.innerHTML = '';
+  let category = null;
+  listRules().forEach(r => {
+    if(r.category !== category){
+      category = r.category;
+      const head = document.createElement('div');
+      head.className = 'rule-group';
+      head.textContent = RULE_CATEGORIES[category] || category;
+      rulesList.appendChild(head);
     }
-    return name || 'asset';
-  } catch(e){
-    return 'asset';
-  }
+    const row = document.createElement('label');
+    row.className = 'rule-row';
+    row.title = `${r.id}: ${r.description}`;
+    row.textContent = r.description;
+    const select = document.createElement('select');
+    ['warn', 'info', 'off'].forEach(level => select.add(new Option(level === r.severity ? `${level} (default)` : level, level)));
+    select.value = ruleSettings(RULES.get(r.id), auditConfig).severity;
+    select.addEventListener('change', () => setRuleSeverity(r.id, select.value));
+    row.appendChild(select);
+    rulesList.appendChild(row);
+  });
 }
 
-/* Extract domain-only for zip name: example.com */
-function domainFromUrl(fullUrl){
-  try{
-    const u = new URL(fullUrl);
-    return u.hostname;
-  }catch(e){
-    // fallback: remove protocol and path
-    return fullUrl.replace(/^https?:\/\//,'').split('/')[0];
-  }
+/* Keep rule options from a loaded config; drop the entry once it matches the default again */
+function setRuleSeverity(id, severity){
+  const rules = Object.assign({}, auditConfig.rules);
+  const entry = rules[id];
+  if(entry && typeof entry === 'object') rules[id] = Object.assign({}, entry, {severity});
+  else if(severity === RULES.get(id).severity) delete rules[id];
+  else rules[id] = severity;
+  auditConfig = Object.assign({}, auditConfig, {rules});
+  saveAuditConfig(auditConfig);
 }
 
-/* ======= Heuristic AI Scan (returns structured result + markdown) ======= */
-function runHeuristicScan(doc, domain, meta){
-  // meta: {cssFiles, jsFiles, images, fonts, inlineCss, inlineJs}
-  const findings = [];
-  const suggestions = [];
-  const kv = {};
-
-  // Basic meta checks
-  const title = (doc.querySelector('title') || {innerText:''}).innerText.trim();
-  const metaDescEl = doc.querySelector('meta[name="description"]');
-  const metaDesc = metaDescEl ? (metaDescEl.getAttribute('content') || '') : '';
-  const hasViewport = !!doc.querySelector('meta[name="viewport"]');
-  const lang = doc.documentElement.getAttribute('lang') || '';
-  const charset = !!doc.querySelector('meta[charset]');
-
-  if(!title){ findings.push({level:'warn', text:'Missing <title> tag'}); suggestions.push('Add a clear title tag for SEO and usability.'); }
-  if(!metaDesc){ findings.push({level:'warn', text:'Missing meta description'}); suggestions.push('Add a meta description for previews.'); }
-  if(!hasViewport){ findings.push({level:'warn', text:'Missing viewport meta'}); suggestions.push('Add viewport meta for mobile-friendliness.'); }
-  if(!lang){ findings.push({level:'warn', text:'Missing html lang attribute'}); suggestions.push('Add <html lang="en"> or appropriate locale.'); }
-  if(!charset){ findings.push({level:'info', text:'No charset meta tag; default will be used'}); }
-
-  // Images/alt
-  const imgs = Array.from(doc.querySelectorAll('img'));
-  const missingAlt = imgs.filter(i => !(i.getAttribute('alt') || '').trim());
-  if(missingAlt.length){
-    findings.push({level:'warn', text:`${missingAlt.length} image(s) missing alt attribute`});
-    suggestions.push('Add alt attributes to images for accessibility.');
-  } else {
-    findings.push({level:'ok', text:`All ${imgs.length} images have alt text (or none present).`});
-  }
-
-  // Headings
-  const h1s = Array.from(doc.querySelectorAll('h1'));
-  if(h1s.length === 0) { findings.push({level:'warn', text:'No H1 found'}); suggestions.push('Add a single H1 for page structure.'); }
-  else if(h1s.length > 1) { findings.push({level:'info', text:`Multiple H1 tags (${h1s.length}) — check semantics`}); }
-  else { findings.push({level:'ok', text:'Single H1 found'}); }
-
-  // Inline code heuristics
-  if(meta.inlineCssBlocks > 0) findings.push({level:'info', text:`${meta.inlineCssBlocks} inline <style> block(s)`});
-  if(meta.inlineJsBlocks > 0) findings.push({level:'info', text:`${meta.inlineJsBlocks} inline <script> block(s)`});
-
-  // Assets count
-  const totalAssets = meta.cssFiles.length + meta.jsFiles.length + meta.images.length + meta.fonts.length;
-  findings.push({level: totalAssets>40 ? 'warn':'ok', text:`${totalAssets} external assets detected`});
-  if(totalAssets>40) suggestions.push('Consider bundling, lazy-loading, or using CDNs for large counts of assets.');
-
-  // Forms labels
-  const forms = Array.from(doc.querySelectorAll('form'));
-  let formsIssues = 0;
-  forms.forEach(f=>{
-    const controls = Array.from(f.querySelectorAll('input,textarea,select'));
-    const unlabeled = controls.filter(c=>{
-      const id = c.id;
-      if(id && doc.querySelector(`label[for="${id}"]`)) return false;
-      if(c.closest('label')) return false;
-      return true;
-    });
-    if(unlabeled.length) formsIssues++;
-  });
-  if(formsIssues) { findings.push({level:'warn', text:`${formsIssues} form(s) with unlabeled controls`}); suggestions.push('Label form controls for accessibility.'); }
-  else findings.push({level:'ok', text:'Forms appear labeled (if any).'});
-
-  // Bad anchors
-  const anchors = Array.from(doc.querySelectorAll('a'));
-  const badAnchors = anchors.filter(a=>{
-    const href = (a.getAttribute('href')||'').trim();
-    return !href || href === '#' || href.toLowerCase().startsWith('javascript:');
-  });
-  if(badAnchors.length) { findings.push({level:'warn', text:`${badAnchors.length} anchor(s) have empty or javascript: href`}); }
-
-  // Large inline heuristics
-  if(meta.inlineCssSize > 20000) { findings.push({level:'warn', text:'Large inline CSS (>20KB)'}); }
-  if(meta.inlineJsSize > 50000) { findings.push({level:'warn', text:'Large inline JS (>50KB)'}); }
-
-  // Prepare report markdown
-  const md = [];
-  md.push(`# AI Scan Report — ${domain}`);
-  md.push(`Scan date: ${new Date().toISOString()}`);
-  md.push('');
-  md.push('## Summary');
-  md.push(`- Title: ${title || '(missing)'}`);
-  md.push(`- Description: ${metaDesc ? metaDesc.slice(0,140) : '(missing)'}`);
-  md.push(`- Lang: ${lang || '(missing)'}`);
-  md.push(`- Assets: ${totalAssets}`);
-  md.push('');
-  md.push('## Findings');
-  findings.forEach(f => md.push(`- [${f.level.toUpperCase()}] ${f.text}`));
-  md.push('');
-  md.push('## Suggestions');
-  suggestions.forEach(s => md.push(`- ${s}`));
-  md.push('');
-  md.push('---');
-  md.push('Copy this file into `audit/report.md` for developer guidance.');
-
-  // Build a simple kv summary for UI
-  const summary = {
-    title, description: metaDesc, lang, images: meta.images.length, css: meta.cssFiles.length,
-    js: meta.jsFiles.length, fonts: meta.fonts.length, inlineCssBlocks: meta.inlineCssBlocks,
-    inlineJsBlocks: meta.inlineJsBlocks, findings, suggestions, mdReport: md.join('\n')
-  };
-  return summary;
+function importAuditConfig(text){
+  let cfg;
+  try{ cfg = JSON.parse(text); }
+  catch(e){ alert('Not valid JSON: ' + e.message); return; }
+  const problems = validateAuditConfig(cfg);
+  if(problems.length){ alert('axis.config.json problems:\n' + problems.join('\n')); return; }
+  if(cfg.plugins && cfg.plugins.length) log('Config plugins only load in the CLI; add custom rules here with a <script> that calls registerRule()');
+  auditConfig = {rules: cfg.rules || {}, categories: cfg.categories || {}};
+  saveAuditConfig(auditConfig);
+  renderRulesPanel();
+  log('Loaded audit rules from axis.config.json');
 }
 
-/* ======= Main process (fetch, parse, download assets, package) ======= */
-async function processSite(url){
-  const t0 = Date.now();
-  statusText.textContent = 'Fetching HTML...';
-  progressEl.style.display = 'block';
-  progressEl.value = 5;
-  log(`Starting fetch for ${url}`);
-
-  // fetch HTML
-  const htmlText = await fetchText(url);
-  if(!htmlText){
-    statusText.textContent = 'Failed to fetch HTML. Check URL or proxy.';
-    progressEl.style.display = 'none';
-    return null;
-  }
-  progressEl.value = 15;
-  statusText.textContent = 'Parsing HTML...';
-
-  // Parse DOM
-  const parser = new DOMParser();
-  const doc = parser.parseFromString(htmlText, 'text/html');
-
-  // Prepare zip structure
-  const zip = new JSZip();
-  const root = zip.folder('website');
-  const cssFolder = root.folder('css');
-  const jsFolder = root.folder('js');
-  const imgFolder = root.folder('images');
-  const fontsFolder = root.folder('fonts');
-  const auditFolder = root.folder('audit');
-
-  // Collect inline code
-  statusText.textContent = 'Extracting inline CSS/JS...';
-  progressEl.value = 20;
-  let combinedCSS = '';
-  let combinedJS = '';
-
-  const styleEls = Array.from(doc.querySelectorAll('style'));
-  styleEls.forEach(s => { combinedCSS += s.textContent + '\n\n'; s.remove(); });
-
-  const inlineScriptEls = Array.from(doc.querySelectorAll('script')).filter(s => !s.src);
-  inlineScriptEls.forEach(s => { combinedJS += s.textContent + '\n\n'; s.remove(); });
-
-  // Keep track of meta info
-  const metaInfo = {
-    cssFiles: [], jsFiles: [], images: [], fonts: [],
-    inlineCssBlocks: styleEls.length, inlineJsBlocks: inlineScriptEls.length,
-    inlineCssSize: combinedCSS.length, inlineJsSize: combinedJS.length
-  };
-
-  // Add combined files
-  if(combinedCSS.trim()){
-    cssFolder.file('inline-styles.css', combinedCSS);
-    const link = doc.createElement('link');
-    link.rel = 'stylesheet';
-    link.href = 'css/inline-styles.css';
-    doc.head.appendChild(link);
-  }
-  if(combinedJS.trim()){
-    jsFolder.file('inline-scripts.js', combinedJS);
-    const s = doc.createElement('script');
-    s.src = 'js/inline-scripts.js';
-    doc.body.appendChild(s);
-  }
+/* ======= Offline input ======= */
+/* Picked files as openOfflineSource() takes them; a picked folder's files carry their path inside it */
+async function readPickedFiles(fileList){
+  return Promise.all(Array.from(fileList).map(async f => ({path: f.webkitRelativePath || f.name, bytes: new Uint8Array(await f.arrayBuffer())})));
+}
 
-  // Fetch external CSS files
-  statusText.textContent = 'Fetching external CSS...';
-  progressEl.value = 30;
-  const cssEls = Array.from(doc.querySelectorAll('link[rel="stylesheet"]'));
-  for(const el of cssEls){
-    let href = el.getAttribute('href') || el.href;
-    const resolved = resolveUrl(url, href);
-    log(`Fetching CSS: ${resolved}`);
-    const cssText = await fetchText(resolved);
-    const fname = fileNameFromUrl(resolved) || 'style.css';
-    cssFolder.file(fname, cssText || '');
-    metaInfo.cssFiles.push({url:resolved, fname});
-    el.setAttribute('href', 'css/' + fname);
-
-    // parse url(...) inside CSS and try to fetch images/fonts referenced
-    const cssUrls = extractUrlsFromCss(cssText || '');
-    for(const u of cssUrls){
-      const assetUrl = resolveUrl(resolved, u);
-      const ext = (assetUrl.split('.').pop() || '').split('?')[0].toLowerCase();
-      if(['woff','woff2','ttf','otf','eot'].includes(ext)){
-        // font
-        const b = await fetchBlob(assetUrl);
-        if(b){ const fn = fileNameFromUrl(assetUrl); fontsFolder.file(fn,b); metaInfo.fonts.push({url:assetUrl,fname:fn}); }
-      } else if(['png','jpg','jpeg','gif','svg','webp','avif'].includes(ext)){
-        const b = await fetchBlob(assetUrl);
-        if(b){ const fn = fileNameFromUrl(assetUrl); imgFolder.file(fn,b); metaInfo.images.push({url:assetUrl,fname:fn}); }
-      } else {
-        // skip other types for now
-      }
+/* Dropped files, folders read recursively. The entries must be taken before the first await: the drop's items are
+   only readable while the event is dispatched. */
+async function readDroppedFiles(dataTransfer){
+  const entries = Array.from(dataTransfer.items || []).map(item => item.webkitGetAsEntry && item.webkitGetAsEntry()).filter(Boolean);
+  if(!entries.length) return readPickedFiles(dataTransfer.files);
+  const files = [];
+  const walk = async entry => {
+    if(entry.isFile){
+      const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+      files.push({path: entry.fullPath.replace(/^\//, ''), bytes: new Uint8Array(await file.arrayBuffer())});
+      return;
     }
-  }
+    // a folder is listed in batches until an empty one
+    const reader = entry.createReader();
+    for(;;){
+      const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+      if(!batch.length) break;
+      for(const child of batch) await walk(child);
+    }
+  };
+  for(const entry of entries) await walk(entry);
+  return files;
+}
 
-  progressEl.value = 55;
-  statusText.textContent = 'Fetching external JS...';
-  // Fetch external JS files
-  const scriptEls = Array.from(doc.querySelectorAll('script[src]'));
-  for(const el of scriptEls){
-    let src = el.getAttribute('src') || el.src;
-    const resolved = resolveUrl(url, src);
-    log(`Fetching JS: ${resolved}`);
-    const jsText = await fetchText(resolved);
-    const fname = fileNameFromUrl(resolved) || 'script.js';
-    jsFolder.file(fname, jsText || '');
-    metaInfo.jsFiles.push({url:resolved,fname});
-    el.setAttribute('src', 'js/' + fname);
+function setOfflineFiles(files){
+  offlineFiles = files && files.length ? files : null;
+  clearOfflineBtn.disabled = !offlineFiles;
+  if(!offlineFiles){
+    offlineLabel.textContent = '';
+    return;
   }
+  const first = offlineFiles[0].path;
+  offlineLabel.textContent = offlineFiles.length === 1 ? `Offline input: ${first}` : `Offline input: ${first.split('/')[0]}/ (${offlineFiles.length} files)`;
+  log(offlineLabel.textContent);
+}
 
-  progressEl.value = 70;
-  statusText.textContent = 'Fetching images...';
-  // Fetch images referenced by <img>
-  const imgEls = Array.from(doc.querySelectorAll('img'));
-  for(const img of imgEls){
-    const src = img.getAttribute('src') || img.src;
-    const resolved = resolveUrl(url, src);
-    log(`Fetching image: ${resolved}`);
-    const b = await fetchBlob(resolved);
-    const fn = fileNameFromUrl(resolved);
-    if(b){
-      imgFolder.file(fn, b);
-      img.setAttribute('src', 'images/' + fn);
-      metaInfo.images.push({url:resolved,fname:fn});
-    } else {
-      // leave original src if fetch fails
-      metaInfo.images.push({url:resolved,fname:null});
-    }
-  }
+/* ======= Scan run (UI side of processSite) ======= */
+function showStatus(text, percent){
+  if(text !== null) statusText.textContent = text;
+  if(percent !== null) progressEl.value = percent;
+}
 
-  progressEl.value = 80;
-  statusText.textContent = 'Fetching favicons & fonts (preload)...';
-  // Try to fetch common favicon links
-  const iconLink = doc.querySelector('link[rel~="icon"], link[rel~="shortcut icon"]');
-  if(iconLink){
-    const href = iconLink.getAttribute('href') || iconLink.href;
-    const resolved = resolveUrl(url, href);
-    const iconBlob = await fetchBlob(resolved);
-    if(iconBlob){
-      const fn = fileNameFromUrl(resolved) || 'favicon.ico';
-      root.file(fn, iconBlob);
-      iconLink.setAttribute('href', fn);
-      log('Fetched favicon: ' + resolved);
-    }
-  } else {
-    // try root /favicon.ico
-    const tryFav = resolveUrl(url, '/favicon.ico');
-    const b = await fetchBlob(tryFav);
-    if(b){ root.file('favicon.ico', b); log('Fetched fallback favicon'); }
+/* Prettier's standalone build and the parsers scaffold.js uses, added to the page on first use */
+function loadScript(src){
+  return new Promise((resolve, reject) => {
+    const script = document.createElement('script');
+    script.src = src;
+    script.onload = resolve;
+    script.onerror = () => reject(new Error(`Could not load ${src}`));
+    document.head.appendChild(script);
+  });
+}
+function loadPrettier(){
+  if(!prettierLoading){
+    prettierLoading = Promise.all(PRETTIER_SCRIPTS.map(file => loadScript(PRETTIER_CDN + file)));
+    prettierLoading.catch(() => { prettierLoading = null; });
   }
+  return prettierLoading;
+}
 
-  // Try to fetch font preload links
-  const preloadFonts = Array.from(doc.querySelectorAll('link[rel="preload"][as="font"]'));
-  for(const l of preloadFonts){
-    const href = l.getAttribute('href') || l.href;
-    const resolved = resolveUrl(url, href);
-    const b = await fetchBlob(resolved);
-    if(b){
-      const fn = fileNameFromUrl(resolved);
-      fontsFolder.file(fn, b);
-      l.setAttribute('href', 'fonts/' + fn);
-      metaInfo.fonts.push({url:resolved,fname:fn});
-    }
+async function runScan(url, opts){
+  progressEl.style.display = 'block';
+  progressEl.value = 0;
+  if(opts.scaffold && opts.scaffold !== 'none'){
+    showStatus('Loading Prettier...', null);
+    try{ await loadPrettier(); }
+    catch(e){ log(e.message + ' — the project files are not formatted'); }
   }
-
-  // Also parse inline CSS combined for url(...) fonts
-  const inlineCssUrls = extractUrlsFromCss(combinedCSS || '');
-  for(const u of inlineCssUrls){
-    const resolved = resolveUrl(url, u);
-    const ext = (resolved.split('.').pop()||'').split('?')[0].toLowerCase();
-    if(['woff','woff2','ttf','otf','eot'].includes(ext)){
-      const b = await fetchBlob(resolved);
-      if(b){ const fn = fileNameFromUrl(resolved); fontsFolder.file(fn,b); metaInfo.fonts.push({url:resolved,fname:fn}); }
-    }
+  const result = await processSite(url, Object.assign({onStatus: showStatus}, opts));
+  progressEl.style.display = 'none';
+  if(!result){
+    statusText.textContent = opts.signal && opts.signal.aborted ? 'Cancelled before the first page was fetched.' :
+      (opts.source ? `Could not read ${url} from the offline input.` : 'Failed to fetch HTML. Check the URL or the fetch backend.');
+    return null;
   }
 
-  progressEl.value = 90;
-  statusText.textContent = 'Building final project files...';
-
-  // Build final index.html from modified doc
-  const finalHTML = '<!doctype html>\n' + doc.documentElement.outerHTML;
-  root.file('index.html', finalHTML);
-
-  // Write combined CSS/JS files if produced earlier (already added but ensure)
-  if(combinedCSS.trim()) cssFolder.file('inline-styles.css', combinedCSS);
-  if(combinedJS.trim()) jsFolder.file('inline-scripts.js', combinedJS);
-
-  // Run heuristic scan
-  statusText.textContent = 'Running AI audit...';
-  const scanResult = runHeuristicScan(doc, url, metaInfo);
-
-  // Create audit files
-  auditFolder.file('report.md', scanResult.mdReport || '');
-  auditFolder.file('report.json', JSON.stringify(scanResult, null, 2));
-
-  // README
-  const readme = `# Website Project (generated)
-This project was generated from ${url}
-Open in VS Code to inspect & edit:
-- index.html
-- css/
-- js/
-- images/
-- fonts/
-- audit/report.md
-
-Notes:
-- Some assets may not have been fetched due to cross-origin restrictions.
-- Review audit/report.md for suggested fixes.
-`;
-  root.file('README.md', readme);
-
-  // Generate zip
-  statusText.textContent = 'Packaging ZIP...';
-  progressEl.value = 95;
-
-  const blob = await zip.generateAsync({type:'blob'}, function updateMeta(metadata){
-    // optional progress callback (metadata.percent)
-    progressEl.value = Math.min(95 + Math.round(metadata.percent/1.25), 99);
-  });
-
-  const domainName = domainFromUrl(url) || 'site';
-  const safeName = domainName.replace(/[:\/\\?%*\|"<> ]+/g,'-');
-  const zipName = `${safeName}.zip`;
-
-  lastZipBlob = blob;
-  lastDomainName = zipName;
+  lastZipBlob = result.zip;
+  lastDomainName = result.zipName;
+  lastRun = result;
   downloadBtn.disabled = false;
+  downloadReportBtn.disabled = false;
+  downloadWarcBtn.disabled = !result.warc;
 
   progressEl.value = 100;
-  progressEl.style.display = 'none';
-  const took = Math.round((Date.now() - t0)/1000);
-  timeTaken.textContent = ` (${took}s)`;
-  statusText.textContent = `Done — project ready: ${zipName}`;
+  timeTaken.textContent = ` (${result.seconds}s)`;
+  statusText.textContent = (result.cancelled ? `Cancelled — partial project ready: ${result.zipName}` : `Done — project ready: ${result.zipName}`) +
+    (opts.crawl ? ` (${result.pages.length} page${result.pages.length === 1 ? '' : 's'})` : '') +
+    (result.fixes.length ? ` — ${result.fixes.reduce((n, f) => n + f.applied.length, 0)} auto-fix(es), see audit/fixes.patch` : '');
+  const finalHTML = result.pages[0].html;
   htmlPreview.value = finalHTML.slice(0,2500) + (finalHTML.length>2500 ? '\n\n... (truncated)' : '');
-  renderScanResult(scanResult);
-
-  log('Packaging complete: ' + zipName);
-
-  return {blob, zipName};
+  renderScanResult(result.scan);
+  setPreviewSource(result.zip);
+  await recordScan(url, result);
+  return result;
 }
 
 /* Render scan result into UI */
@@ -463,6 +288,10 @@ function renderScanResult(scan){
   quickKVs.appendChild(kvEl('CSS', String(scan.css || 0)));
   quickKVs.appendChild(kvEl('JS', String(scan.js || 0)));
   quickKVs.appendChild(kvEl('Fonts', String(scan.fonts || 0)));
+  if(scan.media) quickKVs.appendChild(kvEl('Media', String(scan.media)));
+  if(scan.pages) quickKVs.appendChild(kvEl('Pages', String(scan.pages.length)));
+  if(scan.weight) quickKVs.appendChild(kvEl('Weight', formatBytes(scan.weight.total)));
+  renderWeight(scan.weight);
 
   quickReport.textContent = (scan.suggestions||[]).slice(0,4).join(' · ') || 'No quick suggestions';
 
@@ -471,9 +300,13 @@ function renderScanResult(scan){
     const d = document.createElement('div');
     d.className = 'report-item';
     d.innerHTML = `<div style="display:flex;justify-content:space-between;align-items:center">
-      <div><strong>${escapeHtml(f.text)}</strong></div>
+      <div>${f.page ? `<span class="small quiet">${escapeHtml(f.page)}</span> ` : ''}<strong>${escapeHtml(f.text)}</strong></div>
       <div style="font-size:12px;color:${f.level==='warn' ? 'var(--warn)' : (f.level==='ok' ? 'var(--ok)' : 'var(--muted)')}">${f.level.toUpperCase()}</div>
-    </div>`;
+    </div>
+    <div class="small quiet">${escapeHtml(f.rule || '')}${f.level !== 'ok' && f.fix ? ' — ' + escapeHtml(f.fix) : ''}${f.level !== 'ok' ? wcagLinks(f.wcag) : ''}</div>${f.elements ? `
+    <details><summary class="small">${f.count} element${f.count === 1 ? '' : 's'}</summary>
+      ${f.elements.map(e => `<div><code>${escapeHtml(e.selector)}</code>${e.note ? ` <span class="small">${escapeHtml(e.note)}</span>` : ''}<br><code class="quiet">${escapeHtml(e.snippet)}</code></div>`).join('')}
+    </details>` : ''}`;
     frag.appendChild(d);
   });
   reportEl.appendChild(frag);
@@ -482,22 +315,301 @@ function renderScanResult(scan){
   issuesCount.style.background = issues ? 'rgba(245,158,11,0.10)' : 'rgba(16,185,129,0.06)';
 }
 
+/* Page weight as a stacked bar per type, with the largest files underneath */
+const WEIGHT_COLORS = {html: '#60a5fa', css: '#a78bfa', js: '#f59e0b', images: '#10b981', fonts: '#f472b6', media: '#94a3b8'};
+function renderWeight(weight){
+  weightEl.innerHTML = '';
+  if(!weight || !weight.total) return;
+  const types = Object.entries(weight.types).filter(([, bytes]) => bytes);
+  const pct = bytes => (bytes / weight.total * 100).toFixed(1) + '%';
+  weightEl.innerHTML = `<div class="weight-bar">${types.map(([type, bytes]) =>
+      `<span style="width:${pct(bytes)};background:${WEIGHT_COLORS[type]}" title="${WEIGHT_TYPES[type]}: ${formatBytes(bytes)}"></span>`).join('')}</div>
+    <div class="weight-legend">${types.map(([type, bytes]) =>
+      `<span><i style="background:${WEIGHT_COLORS[type]}"></i>${WEIGHT_TYPES[type]} ${formatBytes(bytes)}</span>`).join('')}</div>
+    ${weight.largest.length ? `<details><summary>Largest files</summary>${weight.largest.map(a =>
+      `<div><code>${escapeHtml(a.path || a.url)}</code> ${formatBytes(a.size)}${a.width ? ` <span class="quiet">${a.width}×${a.height}</span>` : ''}</div>`).join('')}</details>` : ''}`;
+}
+
 /* small UI helpers */
 function kvEl(k,v){
   const d = document.createElement('div'); d.className='kv'; d.textContent = `${k}: ${v}`; return d;
 }
+function wcagLinks(wcag){
+  return (wcag || []).map(w => w.url ? ` · <a href="${w.url}" target="_blank" rel="noopener" title="${escapeHtml(w.name)}">WCAG ${w.sc}</a>` : ` · WCAG ${w.sc}`).join('');
+}
 function escapeHtml(s){ return (s+'').replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;'); }
 
+/* ======= Scan history ======= */
+/* Store a finished run; when the browser is out of space, the zip is dropped before giving up */
+async function recordScan(url, result){
+  const record = {
+    url, time: Date.now(), zipName: result.zipName, cancelled: result.cancelled,
+    scan: result.scan, report: result.report, html: result.pages[0].html, zip: historyZipsInput.checked ? result.zip : null
+  };
+  try{
+    await saveScanRecord(record);
+  }catch(e){
+    if(!record.zip) return log('Could not save the scan to history: ' + e.message);
+    log('Scan saved to history without its zip: ' + e.message);
+    try{ await saveScanRecord(Object.assign(record, {zip: null})); }
+    catch(e2){ return log('Could not save the scan to history: ' + e2.message); }
+  }
+  await renderHistory();
+}
+
+function sameRecord(a, b){ return a.url === b.url && a.time === b.time; }
+
+/* One row per stored run, newest first: tick two runs of a URL to compare them */
+async function renderHistory(){
+  let records;
+  try{ records = await listScanRecords(); }
+  catch(e){
+    historyPanel.style.display = 'none';
+    log('Scan history is off: ' + e.message);
+    return;
+  }
+  historySelection = historySelection.filter(sel => records.some(r => sameRecord(r, sel)));
+  historyList.innerHTML = records.length ? '' : '<div class="small quiet">No scans yet</div>';
+  records.forEach(record => {
+    const row = document.createElement('div');
+    row.className = 'history-row';
+    const s = record.report.summary;
+    row.innerHTML = `<label class="check"><input type="checkbox" /> <span>${escapeHtml(record.url)}</span></label>
+      <div class="small quiet">${new Date(record.time).toLocaleString()} · ${s.warnings} warning${s.warnings === 1 ? '' : 's'}${record.report.weight ? ' · ' + formatBytes(record.report.weight.total) : ''}${record.cancelled ? ' · partial' : ''}</div>
+      <div class="history-actions"><button class="secondary" data-action="view">View</button>${record.zip ? '<button class="secondary" data-action="zip">ZIP</button>' : ''}<button class="secondary" data-action="delete">Delete</button></div>`;
+    const tick = row.querySelector('input');
+    tick.checked = historySelection.some(sel => sameRecord(sel, record));
+    tick.addEventListener('change', ()=>{
+      historySelection = historySelection.filter(sel => !sameRecord(sel, record));
+      if(tick.checked) historySelection.push(record);
+      syncCompareButton();
+    });
+    row.querySelector('[data-action="view"]').addEventListener('click', () => showHistoryRecord(record));
+    if(record.zip) row.querySelector('[data-action="zip"]').addEventListener('click', () => saveAs(record.zip, record.zipName));
+    row.querySelector('[data-action="delete"]').addEventListener('click', async ()=>{
+      await deleteScanRecord(record.url, record.time);
+      await renderHistory();
+    });
+    historyList.appendChild(row);
+  });
+  syncCompareButton();
+}
+
+function syncCompareButton(){
+  compareBtn.disabled = !(historySelection.length === 2 && historySelection[0].url === historySelection[1].url);
+  compareBtn.title = historySelection.length === 2 && compareBtn.disabled ? 'Pick two runs of the same URL' : '';
+}
+
+/* Show a stored run as if it had just finished; its report (and zip, when kept) can be downloaded again */
+function showHistoryRecord(record){
+  lastRun = {zipName: record.zipName, scan: record.scan, report: record.report};
+  lastZipBlob = record.zip;
+  lastDomainName = record.zipName;
+  downloadBtn.disabled = !record.zip;
+  downloadReportBtn.disabled = false;
+  downloadWarcBtn.disabled = true; // WARC files are not kept in the history
+  diffView.style.display = 'none';
+  statusText.textContent = `Viewing the scan of ${record.url} from ${new Date(record.time).toLocaleString()}`;
+  timeTaken.textContent = '';
+  htmlPreview.value = record.html.slice(0,2500) + (record.html.length>2500 ? '\n\n... (truncated)' : '');
+  renderScanResult(record.scan);
+  setPreviewSource(record.zip);
+}
+
+/* Side-by-side numbers, new / resolved / unchanged findings and the index.html diff of two runs */
+function renderDiff(diff){
+  const when = r => new Date(r.time).toLocaleString();
+  const value = (v, bytes) => v === undefined || v === null ? '—' : (bytes ? formatBytes(v) : String(v));
+  const change = row => {
+    const delta = row.after - row.before;
+    if(!delta || isNaN(delta)) return '';
+    const cls = !row.better ? '' : ((delta < 0) === (row.better === 'lower') ? 'diff-better' : 'diff-worse');
+    return `<span class="${cls}">${delta > 0 ? '+' : '−'}${value(Math.abs(delta), row.bytes)}</span>`;
+  };
+  const item = (f, cls, extra) => `<div class="report-item ${cls}">
+      <div>${escapeHtml(f.page)} · <strong>${escapeHtml(f.text)}</strong></div>
+      <div class="small quiet">${f.level.toUpperCase()} · ${escapeHtml(f.rule)}${extra || ''}</div></div>`;
+  const unchanged = diff.findings.unchanged.map(u => item(u.after, 'diff-same',
+    u.before.text !== u.after.text ? ` · was: ${escapeHtml(u.before.text)}` : ''));
+  const lines = diff.html.hunks.map(h => `<span class="diff-hunk">${escapeHtml(h.header)}</span>\n` +
+    h.lines.map(l => `<span class="${l.op === '+' ? 'diff-add' : (l.op === '-' ? 'diff-del' : '')}">${escapeHtml(l.op + ' ' + l.text)}</span>`).join('\n')).join('\n');
+
+  diffView.innerHTML = `<div class="report-header">
+      <h3>Compare ${escapeHtml(diff.after.url)}</h3>
+      <button id="closeDiffBtn" class="secondary">Close</button>
+    </div>
+    <div class="small quiet">${when(diff.before)} → ${when(diff.after)}</div>
+    <table class="diff-summary">
+      <tr><th></th><th>Before</th><th>After</th><th></th></tr>
+      ${diff.summary.map(row => `<tr><td>${row.label}</td><td>${value(row.before, row.bytes)}</td><td>${value(row.after, row.bytes)}</td><td>${change(row)}</td></tr>`).join('')}
+    </table>
+    <h4>New findings (${diff.findings.added.length})</h4>
+    ${diff.findings.added.map(f => item(f, 'diff-new')).join('') || '<div class="small quiet">None</div>'}
+    <h4>Resolved findings (${diff.findings.resolved.length})</h4>
+    ${diff.findings.resolved.map(f => item(f, 'diff-resolved')).join('') || '<div class="small quiet">None</div>'}
+    <details><summary class="small">Unchanged findings (${unchanged.length})</summary>${unchanged.join('')}</details>
+    <details><summary class="small">index.html: +${diff.html.added} / −${diff.html.removed} lines</summary>
+      ${lines ? `<pre class="diff-lines">${lines}</pre>` : '<div class="small quiet">No changes</div>'}
+    </details>`;
+  diffView.style.display = 'block';
+  diffView.querySelector('#closeDiffBtn').addEventListener('click', () => { diffView.style.display = 'none'; });
+}
+
+/* ======= Live preview ======= */
+/* New zip for the preview: opened right away when the panel is open, otherwise when it is opened */
+function setPreviewSource(zip){
+  if(preview){ closePreview(preview); preview = null; }
+  previewZip = zip;
+  previewCurrent = null;
+  fileTree.innerHTML = '';
+  previewIssues.innerHTML = '';
+  previewFrame.removeAttribute('src');
+  previewStatus.textContent = zip ? '' : 'No project zip to preview';
+  if(zip && previewPanel.open) loadPreview();
+}
+
+async function loadPreview(){
+  if(preview || !previewZip) return;
+  const zip = previewZip;
+  previewStatus.textContent = 'Opening the project...';
+  let opened;
+  try{ opened = await openPreview(zip); }
+  catch(e){ previewStatus.textContent = 'Could not open the zip: ' + e.message; return; }
+  if(previewZip !== zip || preview){ closePreview(opened); return; } // another run was picked meanwhile
+  preview = opened;
+  renderFileTree();
+  await showPreviewPath('index.html');
+}
+
+/* Pages are rewritten for the iframe; other files show as text, images or media */
+async function showPreviewPath(target){
+  if(!preview) return;
+  const [path, hash] = target.split('#');
+  if(!previewEntry(preview, path)){ previewStatus.textContent = `Not in the project: ${path}`; return; }
+  previewCurrent = path;
+  fileTree.querySelectorAll('.file').forEach(b => b.classList.toggle('active', b.getAttribute('data-path') === path));
+  previewStatus.textContent = path;
+  try{
+    if(/\.html?$/i.test(path)){
+      const page = await previewPage(preview, path, {blockLive: previewBlockLiveInput.checked});
+      previewFrame.src = page.url + (hash ? '#' + hash : '');
+      renderPreviewIssues(page);
+    }else{
+      const url = await previewFile(preview, path) || previewBlobUrl(preview, [`${path}: ${previewType(path)} files are not shown in the preview.`], 'text/plain');
+      previewFrame.src = url;
+      previewIssues.innerHTML = '';
+    }
+  }catch(e){
+    previewStatus.textContent = `Could not preview ${path}: ${e.message}`;
+  }
+}
+
+/* Files missing from the project (broken rewritten paths) and URLs still pointing at the live site, with where they are used */
+function renderPreviewIssues(page){
+  const group = (items, key) => {
+    const byKey = new Map();
+    items.forEach(i => {
+      if(!byKey.has(i[key])) byKey.set(i[key], new Set());
+      byKey.get(i[key]).add(i.from);
+    });
+    return byKey;
+  };
+  const list = (byKey, cls) => Array.from(byKey, ([name, from]) =>
+    `<div class="${cls}"><code>${escapeHtml(name)}</code> <span class="quiet">${escapeHtml(Array.from(from).join(', '))}</span></div>`).join('');
+  const missing = group(page.missing, 'path'), live = group(page.live, 'url');
+  previewIssues.innerHTML = (missing.size ? `<div class="preview-missing">${missing.size} file(s) missing from the project</div>${list(missing, 'preview-missing')}` : '') +
+    (live.size ? `<div class="preview-live">${live.size} resource(s) still load from the live site${previewBlockLiveInput.checked ? ' (blocked in the preview)' : ''}</div>${list(live, 'preview-live')}` : '') ||
+    '<div class="quiet">Every resource of this page comes from the project</div>';
+}
+
+/* Folders of the project as nested <details>, files as buttons */
+function renderFileTree(){
+  const root = {dirs: new Map(), files: []};
+  Array.from(preview.files.keys()).sort().forEach(path => {
+    let node = root;
+    path.split('/').slice(0, -1).forEach(name => {
+      if(!node.dirs.has(name)) node.dirs.set(name, {dirs: new Map(), files: []});
+      node = node.dirs.get(name);
+    });
+    node.files.push(path);
+  });
+  const build = node => {
+    const frag = document.createDocumentFragment();
+    node.dirs.forEach((child, name) => {
+      const folder = document.createElement('details');
+      const summary = document.createElement('summary');
+      summary.textContent = name + '/';
+      folder.appendChild(summary);
+      folder.appendChild(build(child));
+      frag.appendChild(folder);
+    });
+    node.files.forEach(path => {
+      const file = document.createElement('button');
+      file.className = 'file';
+      file.setAttribute('data-path', path);
+      file.textContent = path.split('/').pop();
+      file.addEventListener('click', () => showPreviewPath(path));
+      frag.appendChild(file);
+    });
+    return frag;
+  };
+  fileTree.innerHTML = '';
+  fileTree.appendChild(build(root));
+}
+
 /* ======= Event wiring ======= */
+/* Fetch backend picker: the URL field holds the custom proxy or the local fetcher address */
+function syncBackendUrlInput(){
+  const backend = backendSelect.value;
+  backendUrlInput.style.display = backend === 'custom' || backend === 'local' ? 'block' : 'none';
+  backendUrlInput.placeholder = backend === 'custom' ? 'https://my-proxy.example/?url={url}' : LOCAL_FETCHER_URL;
+  backendUrlInput.value = backend === 'custom' ? fetcherConfig.proxyUrl : (backend === 'local' ? fetcherConfig.localUrl : '');
+}
+Object.entries(FETCH_BACKENDS).forEach(([key, b]) => backendSelect.add(new Option(b.label, key)));
+backendSelect.value = fetcherConfig.backend;
+fetcherConfig = useFetcher(fetcherConfig);
+syncBackendUrlInput();
+
+backendSelect.addEventListener('change', ()=>{
+  fetcherConfig = useFetcher(Object.assign({}, fetcherConfig, {backend: backendSelect.value}));
+  saveFetcherConfig(fetcherConfig);
+  syncBackendUrlInput();
+  log(`Fetch backend: ${FETCH_BACKENDS[fetcherConfig.backend].label}`);
+});
+backendUrlInput.addEventListener('change', ()=>{
+  const key = backendSelect.value === 'custom' ? 'proxyUrl' : 'localUrl';
+  fetcherConfig = useFetcher(Object.assign({}, fetcherConfig, {[key]: backendUrlInput.value.trim()}));
+  saveFetcherConfig(fetcherConfig);
+});
+
 scanBtn.addEventListener('click', async ()=>{
-  const url = document.getElementById('url').value.trim();
-  if(!url){
+  let url = document.getElementById('url').value.trim();
+  if(!url && !offlineFiles){
     alert('Please enter a URL including protocol (https://)');
     return;
   }
+  // with offline data the URL is optional: the HAR's start page, the saved page's address or where the files live
+  let source = null;
+  if(offlineFiles){
+    try{ source = await openOfflineSource(offlineFiles, url || undefined); }
+    catch(e){
+      alert('Cannot read the offline input: ' + e.message);
+      return;
+    }
+    url = source.startUrl;
+  }
+  // proxies answer with their own status codes and headers (and a browser sees only a few of the site's), which a WARC would record as the site's
+  if(warcInput.checked && !source && !fetcherKeepsHeaders()){
+    alert('A WARC file needs the site\'s own responses, which this fetch backend does not see: pick the Local Node fetcher, or untick "Also export a WARC file".');
+    return;
+  }
   // reset UI
   downloadBtn.disabled = true;
+  downloadReportBtn.disabled = true;
+  downloadWarcBtn.disabled = true;
   reportEl.innerHTML = '';
+  diffView.style.display = 'none';
+  setPreviewSource(null);
   htmlPreview.value = '';
   logArea.value = '';
   quickKVs.innerHTML = '';
@@ -505,18 +617,152 @@ scanBtn.addEventListener('click', async ()=>{
   issuesCount.textContent = '-';
   timeTaken.textContent = '';
 
+  const controller = new AbortController();
+  currentRun = controller;
+  scanBtn.disabled = true;
+  cancelBtn.disabled = false;
+
+  const opts = {
+    signal: controller.signal,
+    concurrency: Math.max(1, parseInt(concurrencyInput.value, 10) || DEFAULT_CONCURRENCY),
+    timeoutSec: Math.max(1, parseFloat(timeoutInput.value) || FETCH_TIMEOUT_MS / 1000),
+    crawl: crawlInput.checked,
+    maxDepth: parseInt(maxDepthInput.value, 10) || 0,
+    maxPages: Math.min(parseInt(maxPagesInput.value, 10) || 1, CRAWL_PAGE_CAP),
+    maxImageMB: parseFloat(maxImageInput.value) || DEFAULT_MAX_IMAGE_MB,
+    maxMediaMB: parseFloat(maxMediaInput.value) || DEFAULT_MAX_MEDIA_MB,
+    checkLinks: checkLinksInput.checked,
+    externalLinks: externalLinksInput.checked,
+    auditConfig,
+    scaffold: scaffoldSelect.value,
+    autoFix: autoFixInput.checked,
+    source,
+    warc: warcInput.checked
+  };
+
   try{
-    await processSite(url);
+    await runScan(url, opts);
   }catch(e){
     console.error(e);
     statusText.textContent = 'Error: ' + (e.message || e);
     log('Fatal error: ' + (e.stack || e.message || e));
     progressEl.style.display = 'none';
+  }finally{
+    currentRun = null;
+    scanBtn.disabled = false;
+    cancelBtn.disabled = true;
   }
 });
 
+cancelBtn.addEventListener('click', ()=>{
+  if(!currentRun) return;
+  log('Cancel requested — stopping downloads and packaging what was fetched');
+  cancelBtn.disabled = true;
+  currentRun.abort();
+});
+
+renderRulesPanel();
+loadConfigBtn.addEventListener('click', ()=> configFileInput.click());
+configFileInput.addEventListener('change', async ()=>{
+  const file = configFileInput.files[0];
+  configFileInput.value = '';
+  if(file) importAuditConfig(await file.text());
+});
+exportConfigBtn.addEventListener('click', ()=>{
+  saveAs(new Blob([JSON.stringify(auditConfig, null, 2) + '\n'], {type: 'application/json'}), 'axis.config.json');
+});
+resetRulesBtn.addEventListener('click', ()=>{
+  auditConfig = {};
+  saveAuditConfig(auditConfig);
+  renderRulesPanel();
+});
+
 downloadBtn.addEventListener('click', ()=>{
   if(lastZipBlob && lastDomainName){
     saveAs(lastZipBlob, lastDomainName);
   }
 });
+downloadWarcBtn.addEventListener('click', ()=>{
+  if(lastRun && lastRun.warc) saveAs(new Blob([lastRun.warc], {type: 'application/warc'}), lastRun.warcName);
+});
+
+openFileBtn.addEventListener('click', () => offlineFileInput.click());
+openFolderBtn.addEventListener('click', () => offlineFolderInput.click());
+[offlineFileInput, offlineFolderInput].forEach(input => input.addEventListener('change', async ()=>{
+  const files = await readPickedFiles(input.files);
+  input.value = '';
+  setOfflineFiles(files);
+}));
+clearOfflineBtn.addEventListener('click', () => setOfflineFiles(null));
+inputPanel.addEventListener('dragover', e => {
+  if(!e.dataTransfer || !Array.from(e.dataTransfer.types || []).includes('Files')) return;
+  e.preventDefault();
+  inputPanel.classList.add('dropping');
+});
+inputPanel.addEventListener('dragleave', e => {
+  if(!inputPanel.contains(e.relatedTarget)) inputPanel.classList.remove('dropping');
+});
+inputPanel.addEventListener('drop', async e => {
+  if(!e.dataTransfer || !e.dataTransfer.files.length) return;
+  e.preventDefault();
+  inputPanel.classList.remove('dropping');
+  try{ setOfflineFiles(await readDroppedFiles(e.dataTransfer)); }
+  catch(err){ log('Could not read the dropped files: ' + err.message); }
+});
+
+Object.entries(SCAFFOLD_TEMPLATES).forEach(([key, t]) => scaffoldSelect.add(new Option(t.label, key)));
+
+/* Reports on their own, without the zip: site.example-report.sarif, ... */
+Object.entries(REPORT_FORMATS).forEach(([key, f]) => reportFormatSelect.add(new Option(f.label, key)));
+reportFormatSelect.add(new Option('Markdown', 'md'));
+downloadReportBtn.addEventListener('click', ()=>{
+  if(!lastRun) return;
+  const base = lastRun.zipName.replace(/\.zip$/, '');
+  const key = reportFormatSelect.value;
+  if(key === 'md'){
+    saveAs(new Blob([lastRun.scan.mdReport], {type: 'text/markdown'}), `${base}-report.md`);
+    return;
+  }
+  const format = REPORT_FORMATS[key];
+  saveAs(new Blob([format.render(lastRun.report)], {type: format.type}), `${base}-${format.file}`);
+});
+
+historyZipsInput.checked = localStorage.getItem(HISTORY_ZIPS_KEY) === '1';
+historyZipsInput.addEventListener('change', ()=>{
+  try{ localStorage.setItem(HISTORY_ZIPS_KEY, historyZipsInput.checked ? '1' : '0'); }
+  catch(e){ log('Could not save the history setting: ' + e.message); }
+});
+compareBtn.addEventListener('click', async ()=>{
+  const [a, b] = historySelection;
+  // records in the selection may be stale after a delete; read them again
+  const records = await Promise.all([getScanRecord(a.url, a.time), getScanRecord(b.url, b.time)]);
+  if(records.some(r => !r)){ await renderHistory(); return; }
+  renderDiff(compareScans(records[0], records[1]));
+});
+clearHistoryBtn.addEventListener('click', async ()=>{
+  if(!confirm('Delete every stored scan?')) return;
+  await clearScanRecords();
+  historySelection = [];
+  await renderHistory();
+});
+renderHistory();
+
+previewPanel.addEventListener('toggle', ()=>{
+  if(previewPanel.open) loadPreview();
+});
+previewBlockLiveInput.addEventListener('change', ()=>{
+  if(previewCurrent) showPreviewPath(previewCurrent);
+});
+// the frame is same-origin without scripts, so links are followed from here: project pages open in the preview
+previewFrame.addEventListener('load', ()=>{
+  const doc = previewFrame.contentDocument;
+  if(!doc) return;
+  doc.addEventListener('click', e => {
+    const link = e.target.closest && e.target.closest('a[href], area[href]');
+    if(!link || (link.getAttribute('href') || '').startsWith('#')) return;
+    e.preventDefault();
+    const page = link.getAttribute('data-axis-page');
+    if(page) showPreviewPath(page);
+    else previewStatus.textContent = `Not followed in the preview: ${link.href}`;
+  });
+});
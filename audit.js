@@ -0,0 +1,328 @@
+/* audit.js — Axis audit engine (rule registry + built-in rules)
+   - Every check is a rule with a stable ID (e.g. a11y/img-alt), a category, a default severity and a fix hint,
+     plus the WCAG success criteria it relates to (linked from every finding)
+   - Findings point at the offending elements (CSS selector path + HTML snippet)
+   - A config object ({rules: {id: 'off' | 'info' | 'warn' | {severity, options}}, categories: {name: 'off'}})
+     comes from the app's Rules panel or axis.config.json in the CLI
+   - Custom rules: registerRule({id, category, severity, description, fix, wcag, options, check(ctx)})
+   Loaded after core.js (browser) or into the CLI next to it; the rules/*.js files add more built-in rules.
+*/
+
+/* ======= Rule registry ======= */
+const RULES = new Map(); // id -> rule, in registration order
+const SEVERITIES = ['warn', 'info'];
+const RULE_CATEGORIES = {a11y: 'Accessibility', seo: 'SEO', perf: 'Performance', security: 'Security', links: 'Links', html: 'HTML', http: 'HTTP'}; // id prefix -> label
+const FINDING_ELEMENTS_MAX = 20; // elements kept per finding (the count is still reported)
+const SNIPPET_MAX = 200;
+const FINDING_LIST_MAX = 5; // files/URLs named in a finding's text (its data has all of them)
+const WEIGHT_LARGEST = 10; // biggest files listed in a report's page weight
+const WEIGHT_TYPES = {html: 'HTML', css: 'CSS', js: 'JS', images: 'Images', fonts: 'Fonts', media: 'Media'}; // meta.weight.types keys -> label
+
+/* WCAG 2.1 success criteria used by the built-in rules: number -> [name, Understanding page] */
+const WCAG_CRITERIA = {
+  '1.1.1': ['Non-text Content', 'non-text-content'],
+  '1.2.2': ['Captions (Prerecorded)', 'captions-prerecorded'],
+  '1.3.1': ['Info and Relationships', 'info-and-relationships'],
+  '1.4.3': ['Contrast (Minimum)', 'contrast-minimum'],
+  '2.1.1': ['Keyboard', 'keyboard'],
+  '2.4.1': ['Bypass Blocks', 'bypass-blocks'],
+  '2.4.2': ['Page Titled', 'page-titled'],
+  '2.4.3': ['Focus Order', 'focus-order'],
+  '2.4.4': ['Link Purpose (In Context)', 'link-purpose-in-context'],
+  '2.4.6': ['Headings and Labels', 'headings-and-labels'],
+  '3.1.1': ['Language of Page', 'language-of-page'],
+  '3.3.2': ['Labels or Instructions', 'labels-or-instructions'],
+  '4.1.1': ['Parsing', 'parsing'],
+  '4.1.2': ['Name, Role, Value', 'name-role-value']
+};
+
+/* '1.4.3' -> {sc, name, url}; criteria missing from the table keep just their number */
+function wcagLink(sc){
+  const known = WCAG_CRITERIA[sc];
+  return known ? {sc, name: known[0], url: `https://www.w3.org/WAI/WCAG21/Understanding/${known[1]}.html`} : {sc, name: '', url: ''};
+}
+
+/* rule: {id, category, severity, description, fix, wcag: ['1.1.1', ...], options, check(ctx)}; category defaults to the ID prefix.
+   check() calls ctx.report(text, elements, data) for problems and may call ctx.pass(text) when the page is fine. */
+function registerRule(rule){
+  if(!rule || !/^[a-z0-9-]+\/[a-z0-9-]+$/.test(rule.id || '')) throw new Error(`Rule IDs look like "category/name", got "${rule && rule.id}"`);
+  if(RULES.has(rule.id)) throw new Error(`Rule already registered: ${rule.id}`);
+  if(typeof rule.check !== 'function') throw new Error(`Rule ${rule.id} has no check() function`);
+  if(!SEVERITIES.includes(rule.severity)) throw new Error(`Rule ${rule.id}: severity must be one of ${SEVERITIES.join(', ')}`);
+  rule = Object.assign({category: rule.id.split('/')[0], description: '', fix: '', wcag: [], options: {}}, rule);
+  if(!RULE_CATEGORIES[rule.category]) RULE_CATEGORIES[rule.category] = rule.category;
+  RULES.set(rule.id, rule);
+  return rule.id;
+}
+
+function listRules(){
+  return Array.from(RULES.values(), r => ({id: r.id, category: r.category, severity: r.severity, description: r.description, fix: r.fix, wcag: r.wcag}));
+}
+
+/* Effective {severity, options} of a rule under a config; severity 'off' means the rule is skipped */
+function ruleSettings(rule, config){
+  const cfg = config || {};
+  const entry = (cfg.rules || {})[rule.id];
+  const override = typeof entry === 'string' ? {severity: entry} : (entry || {});
+  let severity = override.severity || rule.severity;
+  if(!override.severity && (cfg.categories || {})[rule.category] === 'off') severity = 'off';
+  return {severity, options: Object.assign({}, rule.options, override.options)};
+}
+
+/* Problems in a config (unknown rule IDs, bad severities) as readable strings; rules are never guessed */
+function validateAuditConfig(config){
+  const problems = [];
+  Object.entries((config && config.rules) || {}).forEach(([id, entry]) => {
+    const severity = typeof entry === 'string' ? entry : entry && entry.severity;
+    if(!RULES.has(id)) problems.push(`Unknown rule: ${id}`);
+    if(severity && severity !== 'off' && !SEVERITIES.includes(severity)) problems.push(`${id}: unknown severity "${severity}"`);
+  });
+  Object.entries((config && config.categories) || {}).forEach(([name, value]) => {
+    if(!RULE_CATEGORIES[name]) problems.push(`Unknown category: ${name}`);
+    if(value !== 'off' && value !== 'on') problems.push(`Category ${name}: use "off" or "on"`);
+  });
+  return problems;
+}
+
+/* ======= Element locations ======= */
+/* Short selector that finds el again: html > body > div:nth-of-type(2) > img, cut at the nearest unique #id */
+function cssPath(el){
+  const parts = [];
+  for(let node = el; node && node.nodeType === 1; node = node.parentElement){
+    const tag = node.tagName.toLowerCase();
+    const id = node.getAttribute('id');
+    if(id && /^[A-Za-z][\w-]*$/.test(id) && node.ownerDocument.querySelectorAll(`#${id}`).length === 1){
+      parts.unshift(`${tag}#${id}`);
+      break;
+    }
+    const parent = node.parentElement;
+    const same = parent ? Array.from(parent.children).filter(c => c.tagName === node.tagName) : [];
+    parts.unshift(same.length > 1 ? `${tag}:nth-of-type(${same.indexOf(node) + 1})` : tag);
+  }
+  return parts.join(' > ');
+}
+
+/* Element HTML, or just its opening tag when that is too long (e.g. <html> or a big container) */
+function elementSnippet(el){
+  const html = (el.outerHTML || '').replace(/\s+/g, ' ');
+  if(html.length <= SNIPPET_MAX) return html;
+  const open = html.slice(0, html.indexOf('>') + 1);
+  return (open.length > SNIPPET_MAX ? open.slice(0, SNIPPET_MAX) : open) + '…';
+}
+
+/* elements are DOM nodes, or {element, note} when each one needs its own detail (e.g. a contrast ratio) */
+function locateElements(elements){
+  return (elements || []).slice(0, FINDING_ELEMENTS_MAX).map(item => {
+    const el = item.element || item;
+    const out = {selector: cssPath(el), snippet: elementSnippet(el)};
+    if(item.note) out.note = item.note;
+    return out;
+  });
+}
+
+/* Files or URLs for a finding's text: "images/a.png (1.2 MB), js/b.js (300 KB) and 3 more" */
+function assetList(assets, detail){
+  const names = assets.slice(0, FINDING_LIST_MAX).map(a => `${a.path || a.url} (${detail(a)})`);
+  return names.join(', ') + (assets.length > FINDING_LIST_MAX ? ` and ${assets.length - FINDING_LIST_MAX} more` : '');
+}
+
+/* ======= Engine ======= */
+/* Run every enabled rule on a parsed page. Returns findings:
+   {rule, category, level ('warn' | 'info' | 'ok'), text, fix, wcag: [{sc, name, url}], count, elements: [{selector, snippet, note}], data} */
+function runRules(doc, url, meta, config){
+  const findings = [];
+  RULES.forEach(rule => {
+    const settings = ruleSettings(rule, config);
+    if(settings.severity === 'off') return;
+    const base = {rule: rule.id, category: rule.category};
+    if(rule.wcag.length) base.wcag = rule.wcag.map(wcagLink);
+    const ctx = {
+      doc, url, meta, response: meta.response || {}, options: settings.options,
+      $$: selector => Array.from(doc.querySelectorAll(selector)),
+      report(text, elements, data){
+        const finding = Object.assign({}, base, {level: settings.severity, text, fix: rule.fix});
+        if(elements && elements.length){
+          finding.count = elements.length;
+          finding.elements = locateElements(elements);
+        }
+        if(data) finding.data = data;
+        findings.push(finding);
+      },
+      pass(text){ findings.push(Object.assign({}, base, {level: 'ok', text})); }
+    };
+    try{
+      rule.check(ctx);
+    }catch(e){
+      log(`Rule ${rule.id} failed: ${e.message}`);
+      findings.push(Object.assign({}, base, {level: 'info', text: `Rule could not run: ${e.message}`}));
+    }
+  });
+  return findings;
+}
+
+/* {total, types, largest} for reports: the page weight without per-asset details beyond the biggest files */
+function weightSummary(weight){
+  return {total: weight.total, types: weight.types, largest: weight.assets.slice(0, WEIGHT_LARGEST)};
+}
+
+/* Markdown lines for a page-weight summary */
+function weightMarkdown(weight){
+  const lines = [`- Total: ${formatBytes(weight.total)}`];
+  Object.entries(weight.types).forEach(([type, bytes]) => { if(bytes) lines.push(`- ${WEIGHT_TYPES[type]}: ${formatBytes(bytes)} (${Math.round(bytes / weight.total * 100)}%)`); });
+  if(weight.largest.length){
+    lines.push('', 'Largest files:');
+    weight.largest.forEach(a => lines.push(`- \`${a.path || a.url}\` — ${formatBytes(a.size)}${a.width ? ` (${a.width}×${a.height})` : ''}`));
+  }
+  return lines;
+}
+
+/* Markdown lines for one finding, with WCAG links and up to 5 element locations */
+function findingMarkdown(f){
+  const wcag = f.level === 'ok' ? [] : (f.wcag || []).map(w => w.url ? `[WCAG ${w.sc}](${w.url})` : `WCAG ${w.sc}`);
+  const lines = [`- [${f.level.toUpperCase()}] \`${f.rule}\` ${f.text}${wcag.length ? ' — ' + wcag.join(', ') : ''}`];
+  (f.elements || []).slice(0, 5).forEach(e => lines.push(`  - \`${e.selector}\` — \`${e.snippet.replace(/`/g, "'")}\`${e.note ? ` (${e.note})` : ''}`));
+  if(f.count > 5) lines.push(`  - … and ${f.count - 5} more`);
+  return lines;
+}
+
+/* ======= Built-in rules ======= */
+/* --- Page basics --- */
+registerRule({
+  id: 'html/viewport', severity: 'warn',
+  description: 'A viewport meta tag is present', fix: 'Add viewport meta for mobile-friendliness.',
+  check(ctx){
+    if(!ctx.doc.querySelector('meta[name="viewport"]')) ctx.report('Missing viewport meta');
+  }
+});
+registerRule({
+  id: 'html/charset', severity: 'info',
+  description: 'A <meta charset> tag is present', fix: 'Add <meta charset="utf-8"> as the first tag in <head>.',
+  check(ctx){
+    if(!ctx.doc.querySelector('meta[charset]')) ctx.report('No charset meta tag; default will be used');
+  }
+});
+
+/* --- Response metadata (status/redirects/content-type are only real with the local fetcher or the CLI) --- */
+registerRule({
+  id: 'http/redirect', severity: 'info',
+  description: 'The page is served without a redirect', fix: 'Link to the final URL directly to save a round trip.',
+  check(ctx){
+    if(ctx.response.finalUrl && ctx.response.finalUrl !== ctx.url) ctx.report(`Page redirected to ${ctx.response.finalUrl}`);
+  }
+});
+registerRule({
+  id: 'http/content-type', severity: 'warn',
+  description: 'HTML is served as text/html', fix: 'Serve HTML pages with a text/html content-type.',
+  check(ctx){
+    const type = ctx.response.contentType;
+    if(type && !/html/i.test(type)) ctx.report(`Unexpected content-type: ${type}`);
+  }
+});
+
+/* ======= Heuristic AI Scan (returns structured result + markdown) ======= */
+function runHeuristicScan(doc, domain, meta, config){
+  // meta: {cssFiles, jsFiles, images, fonts, media, inlineCss, inlineJs, response, weight}
+  const findings = runRules(doc, domain, meta, config);
+  // one suggestion per rule that found a problem worth fixing
+  const suggestions = Array.from(new Set(findings.filter(f => f.level === 'warn' && f.fix).map(f => f.fix)));
+
+  const title = (doc.querySelector('title') || {textContent:''}).textContent.trim();
+  const metaDescEl = doc.querySelector('meta[name="description"]');
+  const metaDesc = metaDescEl ? (metaDescEl.getAttribute('content') || '') : '';
+  const lang = doc.documentElement.getAttribute('lang') || '';
+  const response = meta.response || {};
+  const totalAssets = meta.cssFiles.length + meta.jsFiles.length + meta.images.length + meta.fonts.length + (meta.media || []).length;
+  const weight = meta.weight ? weightSummary(meta.weight) : null;
+
+  // Prepare report markdown
+  const md = [];
+  md.push(`# AI Scan Report — ${domain}`);
+  md.push(`Scan date: ${new Date().toISOString()}`);
+  md.push('');
+  md.push('## Summary');
+  md.push(`- Title: ${title || '(missing)'}`);
+  md.push(`- Description: ${metaDesc ? metaDesc.slice(0,140) : '(missing)'}`);
+  md.push(`- Lang: ${lang || '(missing)'}`);
+  if(response.status) md.push(`- HTTP: ${response.status}${response.contentType ? ` (${response.contentType})` : ''}`);
+  md.push(`- Assets: ${totalAssets}${weight ? ` (${formatBytes(weight.total)} with the HTML)` : ''}`);
+  md.push('');
+  if(weight){
+    md.push('## Page weight');
+    md.push(...weightMarkdown(weight));
+    md.push('');
+  }
+  md.push('## Findings');
+  findings.forEach(f => md.push(...findingMarkdown(f)));
+  md.push('');
+  md.push('## Suggestions');
+  suggestions.forEach(s => md.push(`- ${s}`));
+  md.push('');
+  md.push('---');
+  md.push('Copy this file into `audit/report.md` for developer guidance.');
+
+  // Build a simple kv summary for UI
+  const summary = {
+    title, description: metaDesc, lang, images: meta.images.length, css: meta.cssFiles.length,
+    js: meta.jsFiles.length, fonts: meta.fonts.length, media: (meta.media || []).length, inlineCssBlocks: meta.inlineCssBlocks,
+    inlineJsBlocks: meta.inlineJsBlocks, weight, findings, suggestions, mdReport: md.join('\n')
+  };
+  return summary;
+}
+
+/* Merge per-page scans into one site-level result (same shape as a page scan, plus pages[]) */
+function combineScans(url, pages){
+  const first = pages[0].scan;
+  const uniqueAssets = key => new Set(pages.flatMap(p => p.meta[key].map(a => a.url))).size;
+  const sum = key => pages.reduce((n, p) => n + (p.meta[key] || 0), 0);
+  const findings = pages.flatMap(p => p.scan.findings.map(f => Object.assign({}, f, {page: p.path})));
+  const suggestions = Array.from(new Set(pages.flatMap(p => p.scan.suggestions)));
+  const pageRows = pages.map(p => ({
+    url: p.url, path: p.path, title: p.scan.title,
+    warnings: p.scan.findings.filter(f => f.level === 'warn').length,
+    bytes: p.meta.weight ? p.meta.weight.total : undefined
+  }));
+  // site weight: every page's HTML plus each asset once, however many pages (or URLs) use it
+  let weight = null;
+  if(pages.every(p => p.meta.weight)){
+    const types = {html: 0, css: 0, js: 0, images: 0, fonts: 0, media: 0};
+    const assets = new Map();
+    pages.forEach(p => {
+      types.html += p.meta.weight.types.html;
+      p.meta.weight.assets.forEach(a => { if(!assets.has(a.path || a.url)) assets.set(a.path || a.url, a); });
+    });
+    assets.forEach(a => { types[a.kind] += a.size; });
+    const all = Array.from(assets.values()).sort((a, b) => b.size - a.size);
+    weight = weightSummary({total: Object.values(types).reduce((a, b) => a + b, 0), types, assets: all});
+  }
+
+  const md = [];
+  md.push(`# AI Scan Report — ${domainFromUrl(url)} (${pages.length} page${pages.length === 1 ? '' : 's'})`);
+  md.push(`Scan date: ${new Date().toISOString()}`);
+  md.push('');
+  md.push('## Pages');
+  pageRows.forEach(r => md.push(`- \`${r.path}\` — ${r.url} — ${r.warnings} warning(s)${r.bytes !== undefined ? ` — ${formatBytes(r.bytes)}` : ''}`));
+  md.push('');
+  if(weight){
+    md.push('## Site weight');
+    md.push(...weightMarkdown(weight));
+    md.push('');
+  }
+  md.push('## Findings');
+  pages.forEach(p => {
+    md.push(`### ${p.path}`);
+    p.scan.findings.forEach(f => md.push(...findingMarkdown(f)));
+    md.push('');
+  });
+  md.push('## Suggestions');
+  suggestions.forEach(s => md.push(`- ${s}`));
+  md.push('');
+  md.push('---');
+  md.push('Per-page reports are in `audit/pages/`.');
+
+  return {
+    title: first.title, description: first.description, lang: first.lang,
+    images: uniqueAssets('images'), css: uniqueAssets('cssFiles'), js: uniqueAssets('jsFiles'), fonts: uniqueAssets('fonts'), media: uniqueAssets('media'),
+    inlineCssBlocks: sum('inlineCssBlocks'), inlineJsBlocks: sum('inlineJsBlocks'),
+    weight, pages: pageRows, findings, suggestions, mdReport: md.join('\n')
+  };
+}
@@ -0,0 +1,260 @@
+#!/usr/bin/env node
+/* axis.js — headless Axis for scripts and CI
+   - `axis scan <url> --out site.zip --report report.json` runs the same fetch, rewrite, audit & package steps as the app
+   - `axis scan --input capture.har` runs them on offline data: a HAR file, a saved page, or a folder or zip of site files
+   - `axis rules` lists the audit rules; axis.config.json (or --config) turns rules off, changes severities and loads custom rules
+   - Loads core.js, audit.js, rules/, report.js, scaffold.js, fixes.js and offline.js (the browser pipeline) with linkedom's DOMParser and JSZip standing in for the browser globals
+   - Exit codes: 0 ok, 1 more warnings than --max-warnings, 2 fatal error, no page fetched or cancelled (Ctrl+C)
+   Requires Node 18+ (global fetch, web crypto) and `npm install`.
+*/
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const CORE_FILES = ['core.js', 'audit.js', 'rules/a11y.js', 'rules/seo.js', 'rules/perf.js', 'rules/security.js', 'rules/links.js', 'report.js', 'scaffold.js', 'fixes.js', 'offline.js'];
+const CONFIG_FILE = 'axis.config.json';
+
+const USAGE = `Usage: axis scan <url> [options]
+       axis scan --input <path> [<url>] [options]
+       axis rules [--config <file>]
+
+Options:
+  --out <file>           write the project zip (default: <domain>.zip)
+  --report <file>        write the audit report; the extension picks the format: .json, .html,
+                         .sarif, .xml (JUnit) or .csv (repeat for several formats)
+  --scaffold <layout>    build a project around the files: static (package.json, dev server,
+                         Prettier) or vite (Vite multi-page layout)
+  --input <path>         read the site from a HAR file, a saved .html page, or a folder or .zip of
+                         site files instead of the network; <url> is then the start page (HAR),
+                         the page's address (saved page) or where the files are published
+  --warc <file>          also write the fetched responses as a WARC 1.1 file
+  --fix                  apply the audit's mechanical fixes to the pages (originals in
+                         audit/original/, diff in audit/fixes.patch)
+  --crawl                follow same-origin links
+  --depth <n>            crawl depth (default 2)
+  --pages <n>            max pages to crawl (default 20)
+  --backend <name>       direct | local | custom | public (default direct)
+  --proxy <url>          custom proxy URL ({url} placeholder) or local fetcher address
+  --concurrency <n>      parallel requests (default 6)
+  --timeout <sec>        per-request timeout (default 20)
+  --max-image-mb <n>     skip larger images (default 10)
+  --max-media-mb <n>     skip larger video/audio (default 25)
+  --external-links       also check links to other origins
+  --no-link-check        do not request the pages' links
+  --max-warnings <n>     exit with code 1 when the audit has more warnings than this
+  --config <file>        audit config (default: ./axis.config.json when present)
+  --quiet                only print the summary
+  -h, --help             show this help
+`;
+
+/* [flag, option key, kind] */
+const FLAGS = [
+  ['--out', 'out', 'string'],
+  ['--report', 'reports', 'list'],
+  ['--scaffold', 'scaffold', 'string'],
+  ['--input', 'input', 'string'],
+  ['--warc', 'warc', 'string'],
+  ['--fix', 'autoFix', 'boolean'],
+  ['--crawl', 'crawl', 'boolean'],
+  ['--depth', 'maxDepth', 'number'],
+  ['--pages', 'maxPages', 'number'],
+  ['--backend', 'backend', 'string'],
+  ['--proxy', 'proxy', 'string'],
+  ['--concurrency', 'concurrency', 'number'],
+  ['--timeout', 'timeoutSec', 'number'],
+  ['--max-image-mb', 'maxImageMB', 'number'],
+  ['--max-media-mb', 'maxMediaMB', 'number'],
+  ['--external-links', 'externalLinks', 'boolean'],
+  ['--no-link-check', 'noLinkCheck', 'boolean'],
+  ['--max-warnings', 'maxWarnings', 'number'],
+  ['--config', 'config', 'string'],
+  ['--quiet', 'quiet', 'boolean']
+];
+
+class UsageError extends Error {}
+
+/* Parse `scan <url> --flag value --flag=value ...` (or `rules`) into {command, url, opts} */
+function parseArgs(argv){
+  const opts = {backend: 'direct', maxDepth: 2, maxPages: 20};
+  const positional = [];
+  for(let i = 0; i < argv.length; i++){
+    const arg = argv[i];
+    if(arg === '-h' || arg === '--help') return {help: true};
+    if(!arg.startsWith('--')){ positional.push(arg); continue; }
+    const [name, inline] = arg.split(/=(.*)/s);
+    const flag = FLAGS.find(f => f[0] === name);
+    if(!flag) throw new UsageError(`Unknown option: ${name}`);
+    const [, key, kind] = flag;
+    if(kind === 'boolean'){ opts[key] = true; continue; }
+    const value = inline !== undefined ? inline : argv[++i];
+    if(value === undefined) throw new UsageError(`Missing value for ${name}`);
+    if(kind === 'list'){
+      opts[key] = (opts[key] || []).concat(value);
+    }else if(kind === 'number'){
+      opts[key] = Number(value);
+      if(!isFinite(opts[key]) || opts[key] < 0) throw new UsageError(`${name} expects a number, got "${value}"`);
+    }else{
+      opts[key] = value;
+    }
+  }
+  const [command, url] = positional;
+  if(command === 'rules') return {command, opts};
+  if(command !== 'scan') throw new UsageError(command ? `Unknown command: ${command}` : 'Missing command');
+  if(url ? !/^https?:\/\//i.test(url) : !opts.input) throw new UsageError('Expected an absolute http(s) URL to scan (or --input <path>)');
+  return {command, url, opts};
+}
+
+/* Run the core scripts in this realm so their top-level functions become globals, with Node stand-ins for the browser APIs */
+function loadCore(logger){
+  const {DOMParser} = require('linkedom');
+  globalThis.DOMParser = DOMParser;
+  globalThis.JSZip = require('jszip');
+  if(!globalThis.crypto) globalThis.crypto = require('crypto').webcrypto; // Node 18 only exposes it as a module
+  globalThis.log = logger;
+  CORE_FILES.forEach(name => {
+    const file = path.join(__dirname, '..', name);
+    vm.runInThisContext(fs.readFileSync(file, 'utf8'), {filename: file});
+  });
+}
+
+/* Read the audit config and register its plugins. A plugin module exports a rule, an array of rules,
+   or a function that is called with registerRule. */
+function loadAuditConfig(file){
+  const explicit = !!file;
+  file = path.resolve(file || CONFIG_FILE);
+  if(!fs.existsSync(file)){
+    if(explicit) throw new UsageError(`Config file not found: ${file}`);
+    return {};
+  }
+  let config;
+  try{
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  }catch(e){
+    throw new UsageError(`Invalid JSON in ${file}: ${e.message}`);
+  }
+  (config.plugins || []).forEach(plugin => {
+    const exported = require(path.resolve(path.dirname(file), plugin));
+    if(typeof exported === 'function') exported(registerRule);
+    else [].concat(exported).forEach(registerRule);
+  });
+  const problems = validateAuditConfig(config);
+  if(problems.length) throw new UsageError(`${path.basename(file)}: ${problems.join('; ')}`);
+  return config;
+}
+
+/* Files of an offline input as openOfflineSource() takes them: the file itself, or every file of a folder with paths
+   that start at the folder (its name names the project, as with a folder picked in the app) */
+function readInputFiles(input){
+  let stat;
+  try{ stat = fs.statSync(input); }
+  catch(e){ throw new UsageError(`Input not found: ${input}`); }
+  if(!stat.isDirectory()) return [{path: path.basename(input), bytes: new Uint8Array(fs.readFileSync(input))}];
+  const top = path.resolve(input);
+  const files = [];
+  const walk = dir => fs.readdirSync(dir, {withFileTypes: true}).forEach(d => {
+    const full = path.join(dir, d.name);
+    if(d.isDirectory()) walk(full);
+    else if(d.isFile()) files.push({path: path.join(path.basename(top), path.relative(top, full)).split(path.sep).join('/'), bytes: new Uint8Array(fs.readFileSync(full))});
+  });
+  walk(top);
+  return files;
+}
+
+function listRuleTable(opts){
+  loadCore(() => {});
+  const config = loadAuditConfig(opts.config);
+  listRules().forEach(r => {
+    const {severity} = ruleSettings(RULES.get(r.id), config);
+    console.log(`${r.id.padEnd(32)} ${severity.padEnd(5)} ${r.category.padEnd(15)} ${r.description}`);
+  });
+  return 0;
+}
+
+async function scan(url, opts){
+  const logger = opts.quiet ? () => {} : msg => process.stderr.write(msg + '\n');
+  loadCore(logger);
+  const auditConfig = loadAuditConfig(opts.config);
+  if(!FETCH_BACKENDS[opts.backend]) throw new UsageError(`Unknown backend: ${opts.backend} (use ${Object.keys(FETCH_BACKENDS).join(', ')})`);
+  useFetcher({backend: opts.backend, proxyUrl: opts.proxy || '', localUrl: opts.proxy || LOCAL_FETCHER_URL});
+  // proxies answer with their own status codes and headers, which the WARC would record as the site's
+  if(opts.warc && !opts.input && !fetcherKeepsHeaders()) throw new UsageError(`--warc needs the site's own responses, which the ${opts.backend} backend does not see: use --backend direct or local`);
+  if(opts.scaffold && !SCAFFOLD_TEMPLATES[opts.scaffold]) throw new UsageError(`Unknown layout: ${opts.scaffold} (use ${Object.keys(SCAFFOLD_TEMPLATES).join(', ')})`);
+  if(opts.scaffold && opts.scaffold !== 'none') globalThis.prettier = require('prettier'); // scaffold.js formats the project with it
+  const reports = (opts.reports || []).map(file => {
+    const format = reportFormatFor(file);
+    if(!format) throw new UsageError(`Unknown report format: ${file} (use ${[].concat(...Object.values(REPORT_FORMATS).map(f => f.extensions)).join(', ')})`);
+    return {file, format: REPORT_FORMATS[format]};
+  });
+  let source = null;
+  if(opts.input){
+    try{ source = await openOfflineSource(readInputFiles(opts.input), url); }
+    catch(e){ throw e instanceof UsageError ? e : new UsageError(`Cannot read ${opts.input}: ${e.message}`); }
+    url = source.startUrl;
+  }
+
+  // Ctrl+C stops new requests and still packages what was fetched, like the app's Cancel button
+  const controller = new AbortController();
+  process.once('SIGINT', () => { logger('Cancel requested — packaging what was fetched'); controller.abort(); });
+
+  let lastStatus = '';
+  const result = await processSite(url, {
+    crawl: opts.crawl, maxDepth: opts.maxDepth, maxPages: opts.maxPages,
+    maxImageMB: opts.maxImageMB, maxMediaMB: opts.maxMediaMB,
+    concurrency: opts.concurrency, timeoutSec: opts.timeoutSec,
+    checkLinks: !opts.noLinkCheck, externalLinks: opts.externalLinks,
+    signal: controller.signal, zipType: 'nodebuffer', auditConfig, scaffold: opts.scaffold, autoFix: opts.autoFix,
+    source, warc: !!opts.warc,
+    onStatus: text => {
+      // only stage changes, the per-request counter would flood the output
+      const stage = text && text.replace(/ \(\d+\/\d+ requests\)$/, '');
+      if(stage && stage !== lastStatus){ lastStatus = stage; logger(stage); }
+    }
+  });
+  if(!result){
+    console.error(controller.signal.aborted ? 'Cancelled before the first page was fetched.' :
+      (source ? `Could not read ${url} from ${opts.input}.` : `Failed to fetch ${url}. Check the URL or the fetch backend.`));
+    return 2;
+  }
+
+  const out = opts.out || result.zipName;
+  fs.writeFileSync(out, result.zip);
+  reports.forEach(r => fs.writeFileSync(r.file, r.format.render(result.report)));
+  if(opts.warc) fs.writeFileSync(opts.warc, result.warc);
+
+  const warnings = result.scan.findings.filter(f => f.level === 'warn').length;
+  console.log(`${result.cancelled ? 'Cancelled — partial project' : 'Saved'} ${out} (${result.pages.length} page${result.pages.length === 1 ? '' : 's'}, ${result.seconds}s)`);
+  reports.forEach(r => console.log(`Report (${r.format.label}): ${r.file}`));
+  if(opts.warc) console.log(`WARC: ${opts.warc}`);
+  if(result.fixes.length) console.log(`Auto-fixed ${result.fixes.length} page${result.fixes.length === 1 ? '' : 's'}: ${result.fixes.reduce((n, f) => n + f.applied.length, 0)} fix(es), see audit/fixes.patch in the zip`);
+  console.log(`${warnings} warning${warnings === 1 ? '' : 's'}`);
+  if(opts.maxWarnings !== undefined && warnings > opts.maxWarnings){
+    console.error(`Too many warnings: ${warnings} > --max-warnings ${opts.maxWarnings}`);
+    return 1;
+  }
+  return result.cancelled ? 2 : 0;
+}
+
+async function main(argv){
+  let args;
+  try{
+    args = parseArgs(argv);
+  }catch(e){
+    if(!(e instanceof UsageError)) throw e;
+    console.error(e.message + '\n\n' + USAGE);
+    return 2;
+  }
+  if(args.help){
+    console.log(USAGE);
+    return 0;
+  }
+  try{
+    return args.command === 'rules' ? listRuleTable(args.opts) : await scan(args.url, args.opts);
+  }catch(e){
+    console.error(e instanceof UsageError ? e.message : 'Fatal error: ' + (e.stack || e.message || e));
+    return 2;
+  }
+}
+
+main(process.argv.slice(2)).then(code => { process.exitCode = code; });
@@ -0,0 +1,1391 @@
+/* core.js — Axis scan pipeline, shared by the web app (app.js) and the CLI (bin/axis.js)
+   - Fetch backends, scheduler (parallel requests, timeouts, retries, cancel)
+   - Asset store & CSS pipeline, crawl, zip packaging (the audit rules live in audit.js, report formats in report.js,
+     the optional project setup around the files in scaffold.js, auto-fixes in fixes.js, offline inputs and WARC export in offline.js)
+   No UI code here: the host provides log(msg) and follows progress through processSite's onStatus hook.
+   Runs as a classic browser script; the CLI loads it into Node with DOMParser & JSZip stand-ins.
+*/
+
+/* ======= Configuration ======= */
+/* WARNING: public proxies are unreliable. For production, use the local fetcher (server/fetch-server.js). */
+const PROXY = 'https://api.allorigins.win/raw?url='; // demo proxy
+const LOCAL_FETCHER_URL = 'http://127.0.0.1:8787'; // default address of server/fetch-server.js
+const DEFAULT_MAX_IMAGE_MB = 10; // larger images/videos keep pointing at the live site
+const DEFAULT_MAX_MEDIA_MB = 25;
+const DEFAULT_CONCURRENCY = 6; // parallel requests
+const FETCH_TIMEOUT_MS = 20000; // per request
+const FETCH_RETRIES = 2; // extra attempts for 429/5xx responses
+const RETRY_BASE_MS = 500;
+const RETRY_MAX_MS = 30000;
+const MAX_REDIRECTS = 10; // hops followed by hand when the runtime lets us see them (Node)
+const LINK_CHECK_MAX = 500; // unique link URLs checked per run
+
+/* ======= Fetch backends ======= */
+/* Every backend resolves to the same record so the pipeline and audit can use response metadata:
+   {url, ok, status, finalUrl, redirects, headers, upstreamHeaders, contentType, bytes (Uint8Array), error}.
+   redirects lists the hops before finalUrl ([{url, status}], empty when the backend cannot see them);
+   upstreamHeaders tells whether headers are the site's own (false: a proxy's headers or a CORS-filtered subset);
+   each fetcher object carries the same flag for its responses ({upstreamHeaders, fetch(url, opts)}).
+   With opts.noBody the body is not downloaded (link checks only need the status). */
+const FETCH_BACKENDS = {
+  public: {label: 'Public CORS proxy (allorigins.win)', create: () => proxyFetcher(url => PROXY + encodeURIComponent(url))},
+  custom: {label: 'Custom proxy URL', create: cfg => proxyFetcher(url => buildProxyUrl(cfg.proxyUrl, url))},
+  local: {label: 'Local Node fetcher', create: cfg => localFetcher(cfg.localUrl || LOCAL_FETCHER_URL)},
+  direct: {label: 'Direct (no proxy: CLI or CORS-enabled sites)', create: () => directFetcher()}
+};
+
+/* Read a response body, giving up once it passes maxBytes (content-length is checked first when present) */
+async function readBytes(res, maxBytes){
+  if(!maxBytes) return new Uint8Array(await res.arrayBuffer());
+  const tooBig = size => new Error(`Larger than the ${formatBytes(maxBytes)} cap (${formatBytes(size)})`);
+  const declared = parseInt(res.headers.get('content-length'), 10);
+  if(declared > maxBytes) throw tooBig(declared);
+  if(!res.body || !res.body.getReader){
+    const bytes = new Uint8Array(await res.arrayBuffer());
+    if(bytes.length > maxBytes) throw tooBig(bytes.length);
+    return bytes;
+  }
+  const reader = res.body.getReader();
+  const chunks = [];
+  let size = 0;
+  for(;;){
+    const {done, value} = await reader.read();
+    if(done) break;
+    size += value.length;
+    if(size > maxBytes){ reader.cancel(); throw tooBig(size); }
+    chunks.push(value);
+  }
+  const bytes = new Uint8Array(size);
+  let offset = 0;
+  chunks.forEach(c => { bytes.set(c, offset); offset += c.length; });
+  return bytes;
+}
+
+/* Drop a body without reading it */
+function skipBody(res){
+  if(res.body && res.body.cancel) res.body.cancel().catch(() => {});
+  return new Uint8Array(0);
+}
+
+function headersToObject(headers){
+  const out = {};
+  headers.forEach((v, k) => { out[k.toLowerCase()] = v; });
+  return out;
+}
+
+/* Custom proxies use {url} as a placeholder, otherwise the encoded URL is appended */
+function buildProxyUrl(template, url){
+  if(!template) throw new Error('No custom proxy URL configured');
+  return template.includes('{url}') ? template.replace('{url}', encodeURIComponent(url)) : template + encodeURIComponent(url);
+}
+
+/* Plain CORS proxies only expose their own status/headers and hide redirects, so finalUrl is the requested URL */
+function proxyFetcher(buildUrl){
+  return {
+    upstreamHeaders: false,
+    async fetch(url, opts = {}){
+      const res = await fetch(buildUrl(url), {signal: opts.signal});
+      const headers = headersToObject(res.headers);
+      return {
+        url, ok: res.ok, status: res.status, finalUrl: url, redirects: [], headers, upstreamHeaders: false,
+        contentType: headers['content-type'] || '', bytes: opts.noBody ? skipBody(res) : await readBytes(res, opts.maxBytes)
+      };
+    }
+  };
+}
+
+/* server/fetch-server.js returns the upstream bytes and reports the real status/URL/headers in X-Axis-* headers */
+function localFetcher(base){
+  const endpoint = base.replace(/\/+$/,'') + '/fetch?url=';
+  return {
+    upstreamHeaders: true,
+    async fetch(url, opts = {}){
+      const res = await fetch(endpoint + encodeURIComponent(url) + (opts.maxBytes ? '&maxBytes=' + opts.maxBytes : '') + (opts.noBody ? '&body=0' : ''), {signal: opts.signal});
+      const upstreamStatus = res.headers.get('x-axis-status');
+      if(!upstreamStatus){
+        const body = await res.json().catch(() => ({}));
+        throw new Error(body.error || `Local fetcher HTTP ${res.status}`);
+      }
+      const status = parseInt(upstreamStatus, 10);
+      const headers = JSON.parse(decodeURIComponent(res.headers.get('x-axis-headers') || '%7B%7D'));
+      return {
+        url, ok: status >= 200 && status < 300, status,
+        finalUrl: decodeURI(res.headers.get('x-axis-final-url') || '') || url,
+        redirects: JSON.parse(decodeURIComponent(res.headers.get('x-axis-redirects') || '%5B%5D')), headers, upstreamHeaders: true,
+        contentType: headers['content-type'] || '', bytes: opts.noBody ? skipBody(res) : await readBytes(res, opts.maxBytes)
+      };
+    }
+  };
+}
+
+/* Plain fetch without a proxy: only for the CLI or sites that send CORS headers.
+   Browsers only expose CORS-safelisted headers of a cross-origin response and follow redirects out of sight
+   (res.url is the final URL); Node's fetch (the CLI) returns every header and lets us follow redirects hop by hop. */
+function directFetcher(){
+  const inNode = typeof document === 'undefined';
+  return {
+    upstreamHeaders: inNode,
+    async fetch(url, opts = {}){
+      const redirects = [];
+      let current = url, res;
+      for(;;){
+        res = await fetch(current, {signal: opts.signal, redirect: inNode ? 'manual' : 'follow'});
+        const location = res.headers.get('location');
+        if(!inNode || res.status < 300 || res.status >= 400 || !location) break;
+        if(redirects.length >= MAX_REDIRECTS) throw new Error(`Too many redirects (>${MAX_REDIRECTS})`);
+        skipBody(res);
+        redirects.push({url: current, status: res.status});
+        current = new URL(location, current).href;
+      }
+      const headers = headersToObject(res.headers);
+      return {
+        url, ok: res.ok, status: res.status, finalUrl: inNode ? current : (res.url || url), redirects, headers, upstreamHeaders: inNode,
+        contentType: headers['content-type'] || '', bytes: opts.noBody ? skipBody(res) : await readBytes(res, opts.maxBytes)
+      };
+    }
+  };
+}
+
+let activeFetcher = null;
+/* Switch backend; unknown names (e.g. a stale saved choice) fall back to the public proxy.
+   Returns the config actually in use. */
+function useFetcher(cfg){
+  cfg = Object.assign({}, cfg, {backend: FETCH_BACKENDS[cfg.backend] ? cfg.backend : 'public'});
+  activeFetcher = FETCH_BACKENDS[cfg.backend].create(cfg);
+  return cfg;
+}
+
+/* Whether the active backend sees the site's own status codes, headers and redirects (a WARC export needs them) */
+function fetcherKeepsHeaders(){
+  return !!(activeFetcher && activeFetcher.upstreamHeaders);
+}
+
+/* Fetch through the active backend; never throws, failures come back with ok:false and an error message.
+   opts: maxBytes caps the body size, noBody skips it, timeoutMs aborts slow requests, retries re-tries 429/5xx with backoff,
+   signal cancels the request (and any pending retry), fetcher replaces the active backend (offline inputs, offline.js). */
+async function fetchResource(url, opts = {}){
+  const timeoutMs = opts.timeoutMs || FETCH_TIMEOUT_MS;
+  const retries = opts.retries == null ? FETCH_RETRIES : opts.retries;
+  const failed = error => ({url, ok: false, status: 0, finalUrl: url, redirects: [], headers: {}, upstreamHeaders: false, contentType: '', bytes: null, error});
+  for(let attempt = 0; ; attempt++){
+    if(opts.signal && opts.signal.aborted) return failed('Cancelled');
+    const ctrl = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(()=>{ timedOut = true; ctrl.abort(); }, timeoutMs);
+    const cancel = () => ctrl.abort();
+    if(opts.signal) opts.signal.addEventListener('abort', cancel);
+    let r;
+    try{
+      r = await (opts.fetcher || activeFetcher).fetch(url, {maxBytes: opts.maxBytes, noBody: opts.noBody, signal: ctrl.signal});
+    }catch(e){
+      return failed(timedOut ? `Timed out after ${Math.round(timeoutMs / 1000)}s` : (opts.signal && opts.signal.aborted ? 'Cancelled' : e.message));
+    }finally{
+      clearTimeout(timer);
+      if(opts.signal) opts.signal.removeEventListener('abort', cancel);
+    }
+    if(!r.ok && (r.status === 429 || r.status >= 500) && attempt < retries){
+      const wait = retryDelay(attempt, r.headers['retry-after']);
+      log(`HTTP ${r.status}, retry ${attempt + 1}/${retries} in ${(wait / 1000).toFixed(1)}s: ${url}`);
+      try{ await sleep(wait, opts.signal); }
+      catch(e){ return failed('Cancelled'); }
+      continue;
+    }
+    if(!r.ok) r.error = `HTTP ${r.status}`;
+    return r;
+  }
+}
+
+/* Decode bytes using the charset from content-type (utf-8 when missing or unknown) */
+function decodeText(r){
+  const m = /charset=([^;]+)/i.exec(r.contentType || '');
+  try{ return new TextDecoder(m ? m[1].trim().replace(/["']/g,'') : 'utf-8').decode(r.bytes); }
+  catch(e){ return new TextDecoder('utf-8').decode(r.bytes); }
+}
+
+/* Resolve relative URLs against a base domain */
+function resolveUrl(base, relative){
+  try{ return new URL(relative, base).href; }
+  catch(e){ return relative; }
+}
+
+/* Parse a srcset into [{url, descriptor}] ("a.png 1x, b.png 2x"; URLs may contain commas) */
+function parseSrcset(srcset){
+  const s = srcset || '';
+  const out = [];
+  let i = 0;
+  while(i < s.length){
+    while(i < s.length && /[\s,]/.test(s[i])) i++;
+    if(i >= s.length) break;
+    let j = i;
+    while(j < s.length && !/\s/.test(s[j])) j++;
+    let url = s.slice(i, j), descriptor = '';
+    if(/,$/.test(url)){
+      url = url.replace(/,+$/,'');
+      i = j;
+    } else {
+      const end = s.indexOf(',', j) < 0 ? s.length : s.indexOf(',', j);
+      descriptor = s.slice(j, end).trim();
+      i = end + 1;
+    }
+    out.push({url, descriptor});
+  }
+  return out;
+}
+
+/* Create a safe filename from a URL */
+function fileNameFromUrl(url){
+  try{
+    const u = new URL(url);
+    const name = u.pathname.split('/').filter(Boolean).pop() || 'index';
+    // names without an extension are completed from the content-type by the asset store
+    return name || 'asset';
+  } catch(e){
+    return 'asset';
+  }
+}
+
+/* Human-readable size: 1536 -> 1.5 KB */
+function formatBytes(n){
+  if(n < 1024) return `${n} B`;
+  if(n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+  return `${(n / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/* Extract domain-only for zip name: example.com */
+function domainFromUrl(fullUrl){
+  try{
+    const u = new URL(fullUrl);
+    return u.hostname;
+  }catch(e){
+    // fallback: remove protocol and path
+    return fullUrl.replace(/^https?:\/\//,'').split('/')[0];
+  }
+}
+
+/* ======= Crawl helpers (page paths & link rewriting) ======= */
+/* Links with these extensions are downloads/assets, not pages worth crawling */
+const NON_PAGE_EXT = /\.(png|jpe?g|gif|svg|webp|avif|ico|bmp|css|js|mjs|json|xml|txt|pdf|zip|gz|rar|7z|mp3|mp4|webm|ogg|wav|woff2?|ttf|otf|eot|exe|dmg|docx?|xlsx?|pptx?)$/i;
+
+/* Make a string safe to use as a file/folder name */
+function safeSegment(s){
+  try{ s = decodeURIComponent(s); }catch(e){}
+  return s.replace(/[:\/\\?%*\|"<>&=, ]+/g,'-');
+}
+
+/* Map a page URL to its file inside website/: / -> index.html, /about -> about/index.html */
+function pagePathFromUrl(pageUrl){
+  try{
+    const u = new URL(pageUrl);
+    const segs = u.pathname.split('/').filter(Boolean).map(safeSegment);
+    let file = 'index.html';
+    if(segs.length && !u.pathname.endsWith('/') && /\.html?$/i.test(segs[segs.length-1])) file = segs.pop();
+    if(u.search.length > 1) file = file.replace(/(\.html?)$/i, `-${safeSegment(u.search.slice(1))}$1`);
+    return segs.concat(file).join('/');
+  }catch(e){
+    return 'index.html';
+  }
+}
+
+/* Short name for per-page files: index.html -> index, about/index.html -> about, docs/a.html -> docs-a */
+function pageSlug(pagePath){
+  return pagePath.replace(/(^|\/)index\.html$/i,'').replace(/\.html?$/i,'').replace(/\//g,'-') || 'index';
+}
+
+/* Relative link from one file in website/ to another: (about/index.html, css/a.css) -> ../css/a.css */
+function relativePath(fromFile, toFile){
+  const from = fromFile.split('/').slice(0, -1);
+  const to = toFile.split('/');
+  let i = 0;
+  while(i < from.length && i < to.length - 1 && from[i] === to[i]) i++;
+  return '../'.repeat(from.length - i) + to.slice(i).join('/');
+}
+
+/* Parse an <a href> against its page; returns a URL only for same-origin http(s) targets */
+function sameOriginLink(href, pageUrl){
+  href = (href || '').trim();
+  if(!href || href.startsWith('#')) return null;
+  try{
+    const u = new URL(href, pageUrl);
+    if(!/^https?:$/.test(u.protocol) || u.origin !== new URL(pageUrl).origin) return null;
+    return u;
+  }catch(e){
+    return null;
+  }
+}
+
+/* Same-origin page links worth crawling (fragments stripped, assets/downloads skipped) */
+function collectPageLinks(doc, pageUrl){
+  const links = [];
+  doc.querySelectorAll('a[href]').forEach(a=>{
+    const u = sameOriginLink(a.getAttribute('href'), pageUrl);
+    if(!u || NON_PAGE_EXT.test(u.pathname)) return;
+    u.hash = '';
+    links.push(u.href);
+  });
+  return links;
+}
+
+/* Point internal <a href> at the local copy when that page was saved, otherwise at the absolute live URL.
+   savedPaths maps a page's usual path (including redirect targets) to the file it was saved as. */
+function rewritePageLinks(page, savedPaths){
+  page.doc.querySelectorAll('a[href]').forEach(a=>{
+    const u = sameOriginLink(a.getAttribute('href'), page.baseUrl);
+    if(!u) return;
+    const target = savedPaths.get(pagePathFromUrl(u.href));
+    a.setAttribute('href', target ? relativePath(page.path, target) + u.hash : u.href);
+  });
+}
+
+/* ======= Fetch scheduler (parallel requests, timeouts, retries, cancel) ======= */
+/* Runs at most `concurrency` tasks at once. counts.total grows as work is discovered, so
+   onProgress(done, total) reports real numbers. Once `signal` aborts, queued tasks are rejected. */
+function createScheduler({concurrency = DEFAULT_CONCURRENCY, signal = null, onProgress = null} = {}){
+  const queue = [];
+  const counts = {done: 0, total: 0};
+  let active = 0;
+  const report = () => { if(onProgress) onProgress(counts.done, counts.total); };
+  const finish = () => { active--; counts.done++; report(); pump(); };
+  function pump(){
+    while(queue.length && (active < concurrency || (signal && signal.aborted))){
+      const job = queue.shift();
+      if(signal && signal.aborted){
+        counts.done++;
+        job.reject(new Error('Cancelled'));
+        continue;
+      }
+      active++;
+      Promise.resolve().then(job.task).then(job.resolve, job.reject).finally(finish);
+    }
+    report();
+  }
+  if(signal) signal.addEventListener('abort', pump);
+  return {
+    counts,
+    run(task){
+      counts.total++;
+      return new Promise((resolve, reject)=>{ queue.push({task, resolve, reject}); pump(); });
+    }
+  };
+}
+
+function sleep(ms, signal){
+  return new Promise((resolve, reject)=>{
+    if(signal && signal.aborted) return reject(new Error('Cancelled'));
+    const timer = setTimeout(resolve, ms);
+    if(signal) signal.addEventListener('abort', ()=>{ clearTimeout(timer); reject(new Error('Cancelled')); }, {once: true});
+  });
+}
+
+/* Exponential backoff with jitter; a Retry-After header (seconds or HTTP date) wins when it is longer */
+function retryDelay(attempt, retryAfter){
+  let ms = RETRY_BASE_MS * Math.pow(2, attempt) + Math.round(Math.random() * RETRY_BASE_MS);
+  if(retryAfter){
+    const secs = Number(retryAfter);
+    const until = isNaN(secs) ? Date.parse(retryAfter) - Date.now() : secs * 1000;
+    if(until > ms) ms = until;
+  }
+  return Math.min(ms, RETRY_MAX_MS);
+}
+
+/* Queue a fetch on the run's scheduler with its timeout/retry settings; never throws.
+   With a WARC export (site.warc) every response that has a body is kept for it. */
+async function scheduledFetch(site, url, opts = {}){
+  const settings = Object.assign({signal: site.signal, timeoutMs: site.timeoutMs, retries: site.retries, fetcher: site.fetcher}, opts);
+  let r;
+  try{
+    r = await site.scheduler.run(() => fetchResource(url, settings));
+  }catch(e){
+    return {url, ok: false, status: 0, finalUrl: url, redirects: [], headers: {}, upstreamHeaders: false, contentType: '', bytes: null, error: e.message};
+  }
+  if(site.warc && r.bytes && !settings.noBody) site.warc.push({response: r, date: new Date()});
+  return r;
+}
+
+/* ======= Asset store (shared by every page: unique names, content-hash dedupe, manifest) ======= */
+async function sha256Hex(bytes){
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2,'0')).join('');
+}
+
+/* Pick a free path inside website/ (case-insensitive, so the zip unpacks cleanly on Windows/macOS).
+   A clash gets a short content-hash suffix: logo.png -> logo-1a2b3c4d.png */
+function reserveAssetPath(site, dir, name, hash){
+  let path = (dir ? dir + '/' : '') + name;
+  if(site.usedPaths.has(path.toLowerCase())){
+    const dot = name.lastIndexOf('.');
+    const stem = dot > 0 ? name.slice(0, dot) : name;
+    const ext = dot > 0 ? name.slice(dot) : '';
+    path = (dir ? dir + '/' : '') + `${stem}-${(hash || String(site.usedPaths.size)).slice(0, 8)}${ext}`;
+  }
+  site.usedPaths.add(path.toLowerCase());
+  return path;
+}
+
+/* Pixel size read from the header of PNG, GIF, JPEG and WebP files: {width, height}, or null (SVG, AVIF, unknown) */
+function imageSize(b){
+  const u16 = i => b[i] << 8 | b[i+1];
+  const u16le = i => b[i] | b[i+1] << 8;
+  const u24le = i => b[i] | b[i+1] << 8 | b[i+2] << 16;
+  const u32 = i => (b[i] << 24 | b[i+1] << 16 | b[i+2] << 8 | b[i+3]) >>> 0;
+  const ascii = (i, len) => String.fromCharCode(...b.subarray(i, i + len));
+  if(b.length >= 24 && b[0] === 0x89 && ascii(1, 3) === 'PNG') return {width: u32(16), height: u32(20)};
+  if(b.length >= 10 && ascii(0, 3) === 'GIF') return {width: u16le(6), height: u16le(8)};
+  if(b.length >= 30 && ascii(0, 4) === 'RIFF' && ascii(8, 4) === 'WEBP'){
+    const chunk = ascii(12, 4);
+    if(chunk === 'VP8 ') return {width: u16le(26) & 0x3fff, height: u16le(28) & 0x3fff};
+    if(chunk === 'VP8L') return {width: 1 + (u16le(21) & 0x3fff), height: 1 + ((b[22] >> 6 | b[23] << 2 | b[24] << 10) & 0x3fff)};
+    if(chunk === 'VP8X') return {width: 1 + u24le(24), height: 1 + u24le(27)};
+    return null;
+  }
+  if(b.length >= 4 && b[0] === 0xff && b[1] === 0xd8){
+    // walk the JPEG segments up to the first start-of-frame marker
+    let i = 2;
+    while(i + 9 < b.length){
+      if(b[i] !== 0xff){ i++; continue; }
+      const marker = b[i+1];
+      if(marker === 0xff){ i++; continue; }
+      if(marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) return {width: u16(i+7), height: u16(i+5)};
+      i += marker === 0x01 || (marker >= 0xd0 && marker <= 0xd8) ? 2 : 2 + u16(i+2);
+    }
+  }
+  return null;
+}
+
+/* Save downloaded bytes under dir/ and record them in the manifest. Identical content is stored once.
+   Images also get their pixel size (width, height) when the format is known. */
+async function storeAsset(site, url, dir, name, bytes, type){
+  const hash = await sha256Hex(bytes);
+  let path = site.byHash.get(hash);
+  if(path){
+    log(`Duplicate content, reusing ${path}: ${url}`);
+  } else {
+    path = reserveAssetPath(site, dir, name, hash);
+    site.byHash.set(hash, path);
+    site.root.file(path, bytes);
+  }
+  const entry = {path, size: bytes.length, type: type || 'application/octet-stream', hash};
+  if(/^image\//.test(entry.type)) Object.assign(entry, imageSize(bytes));
+  site.manifest.set(url, entry);
+  return path;
+}
+
+/* Fetch for the asset pipeline; failures are logged and kept in the manifest with their reason.
+   The downloaded size is remembered for the page-weight audit (saved CSS is rewritten, so its size differs). */
+async function fetchAsset(site, url, maxBytes){
+  const r = await scheduledFetch(site, url, {maxBytes});
+  if(!r.ok){
+    log(`Asset fetch failed: ${url} — ${r.error}`);
+    site.manifest.set(url, {path: null, status: r.status, error: r.error});
+    return null;
+  }
+  site.downloaded.set(url, r.bytes.length);
+  return r;
+}
+
+function mimeOf(r){
+  return (r.contentType || '').split(';')[0].trim().toLowerCase();
+}
+
+/* Extension for a MIME type: image/svg+xml -> .svg, font/woff2 -> .woff2 ('' when unknown) */
+function extFromMime(type){
+  const sub = (type || '').split('/')[1] || '';
+  const ext = {'svg+xml':'svg', jpeg:'jpg', 'x-icon':'ico', 'vnd.microsoft.icon':'ico', 'font-woff':'woff', 'font-woff2':'woff2'}[sub] || sub;
+  return /^[a-z0-9]{2,5}$/.test(ext) ? '.' + ext : '';
+}
+
+/* MIME type by file extension, for files that come without headers (offline inputs, the preview) */
+const MIME_TYPES = {
+  html: 'text/html', htm: 'text/html', css: 'text/css', js: 'text/javascript', mjs: 'text/javascript', json: 'application/json',
+  webmanifest: 'application/manifest+json', map: 'application/json', md: 'text/markdown', txt: 'text/plain', xml: 'application/xml',
+  csv: 'text/csv', sarif: 'application/json', vtt: 'text/vtt', svg: 'image/svg+xml', png: 'image/png', jpg: 'image/jpeg',
+  jpeg: 'image/jpeg', gif: 'image/gif', webp: 'image/webp', avif: 'image/avif', ico: 'image/x-icon', bmp: 'image/bmp',
+  cur: 'image/x-icon', woff: 'font/woff', woff2: 'font/woff2', ttf: 'font/ttf', otf: 'font/otf', eot: 'application/vnd.ms-fontobject',
+  mp4: 'video/mp4', webm: 'video/webm', ogv: 'video/ogg', mov: 'video/quicktime', mp3: 'audio/mpeg', ogg: 'audio/ogg',
+  oga: 'audio/ogg', wav: 'audio/wav', m4a: 'audio/mp4', flac: 'audio/flac'
+};
+
+/* Asset name from its URL, making sure it carries an extension (Google Fonts' /css -> css.css) */
+function assetName(url, ext){
+  const name = safeSegment(fileNameFromUrl(url));
+  if(ext) return name.toLowerCase().endsWith(ext) ? name : name + ext;
+  return name;
+}
+
+/* Each URL is downloaded once per run; later pages reuse the stored result */
+function cachedAsset(site, assetUrl, load){
+  if(!site.assets.has(assetUrl)) site.assets.set(assetUrl, load());
+  return site.assets.get(assetUrl);
+}
+
+/* Download an image/font into its folder; resolves to its path inside website/ or null.
+   Without a kind the folder comes from the response content-type (unclassifiable responses are not saved). */
+function fetchBinaryAsset(site, assetUrl, kind, inFontFace){
+  return cachedAsset(site, assetUrl, async ()=>{
+    const r = await fetchAsset(site, assetUrl, site.limits[kind || 'images']);
+    if(!r) return null;
+    kind = kind || kindFromMime(mimeOf(r), inFontFace);
+    if(!kind){
+      log(`Not saved (unrecognised type ${mimeOf(r) || 'unknown'}): ${assetUrl}`);
+      site.manifest.set(assetUrl, {path: null, status: r.status, error: `Unrecognised type ${mimeOf(r) || 'unknown'}`});
+      return null;
+    }
+    const name = assetName(assetUrl);
+    return storeAsset(site, assetUrl, kind, name.includes('.') ? name : name + extFromMime(mimeOf(r)), r.bytes, mimeOf(r));
+  });
+}
+
+/* Download a script; resolves to its path or null. Its text is kept in site.sources for the audit. */
+function fetchScript(site, jsUrl){
+  return cachedAsset(site, jsUrl, async ()=>{
+    log(`Fetching JS: ${jsUrl}`);
+    const r = await fetchAsset(site, jsUrl);
+    if(!r) return null;
+    site.sources.set(jsUrl, decodeText(r));
+    return storeAsset(site, jsUrl, 'js', assetName(jsUrl, '.js'), r.bytes, mimeOf(r) || 'text/javascript');
+  });
+}
+
+/* Download a web app manifest plus its icons/screenshots; resolves to {path, images} or null.
+   The manifest is saved next to index.html with icon paths rewritten relative to it. */
+function fetchWebManifest(site, manifestUrl){
+  return cachedAsset(site, manifestUrl, async ()=>{
+    const r = await fetchAsset(site, manifestUrl);
+    if(!r) return null;
+    let json;
+    try{ json = JSON.parse(decodeText(r)); }
+    catch(e){ log(`Manifest is not valid JSON: ${manifestUrl}`); json = null; }
+    const images = [];
+    for(const key of ['icons', 'screenshots']){
+      for(const icon of (json && Array.isArray(json[key]) ? json[key] : [])){
+        if(!icon || !icon.src) continue;
+        const iconUrl = resolveUrl(r.finalUrl || manifestUrl, icon.src);
+        const path = await fetchBinaryAsset(site, iconUrl, 'images');
+        images.push({url:iconUrl, fname:path ? path.split('/').pop() : null});
+        icon.src = path || iconUrl; // the manifest sits at the root, so root-relative paths work as-is
+      }
+    }
+    const bytes = json ? new TextEncoder().encode(JSON.stringify(json, null, 2)) : r.bytes;
+    const path = await storeAsset(site, manifestUrl, '', assetName(manifestUrl), bytes, 'application/manifest+json');
+    return {path, images};
+  });
+}
+
+/* Files the tool writes itself (extracted inline code ...) claim their name so fetched assets cannot overwrite them.
+   source says what they were made from, for ORIGIN.md. */
+function writeGeneratedFile(site, path, content, source){
+  site.usedPaths.add(path.toLowerCase());
+  site.generated.set(path, [source]);
+  site.root.file(path, content);
+}
+
+/* Write an inline block to path, or reuse the file of an identical block in the same folder (the same snippet on
+   every page is saved once). Returns the path that holds it. */
+function writeInlineFile(site, path, content, source){
+  const key = path.split('/')[0] + '\n' + content;
+  const existing = site.inlineFiles.get(key);
+  if(existing){
+    site.generated.get(existing).push(source);
+    return existing;
+  }
+  writeGeneratedFile(site, path, content, source);
+  site.inlineFiles.set(key, path);
+  return path;
+}
+
+/* audit/assets-manifest.json: original URL -> {path, size, type, hash, width, height} ({path:null, error} for failed downloads) */
+function buildAssetsManifest(site, url){
+  const assets = {};
+  Array.from(site.manifest.keys()).sort().forEach(k => { assets[k] = site.manifest.get(k); });
+  return {source: url, generated: new Date().toISOString(), assets};
+}
+
+/* Assets of a page that could not be saved: [{url, kind, status, error}] */
+function failedAssets(site, page){
+  const failed = new Map();
+  [['cssFiles', 'css'], ['jsFiles', 'js'], ['images', 'images'], ['fonts', 'fonts'], ['media', 'media']].forEach(([key, kind]) => {
+    page.meta[key].forEach(({url}) => {
+      const entry = site.manifest.get(url);
+      if(entry && !entry.path && !failed.has(url)) failed.set(url, {url, kind, status: entry.status, error: entry.error});
+    });
+  });
+  return Array.from(failed.values());
+}
+
+/* Downloaded bytes of a page and everything it references, by type. Assets shared with other pages count for each page;
+   URLs deduplicated into one local file count once, under the first of them.
+   Returns {total, types: {html, css, js, images, fonts, media}, assets: [{url, path, kind, type, size, width, height}]} (largest first) */
+function pageWeight(site, page){
+  const types = {html: page.meta.htmlBytes || 0, css: 0, js: 0, images: 0, fonts: 0, media: 0};
+  const assets = [];
+  const seen = new Set();
+  [['cssFiles', 'css'], ['jsFiles', 'js'], ['images', 'images'], ['fonts', 'fonts'], ['media', 'media']].forEach(([key, kind]) => {
+    page.meta[key].forEach(({url}) => {
+      if(!site.downloaded.has(url)) return;
+      const entry = site.manifest.get(url) || {};
+      const key = entry.path || url;
+      if(seen.has(key)) return;
+      seen.add(key);
+      const asset = {url, path: entry.path || null, kind, type: entry.type || '', size: site.downloaded.get(url)};
+      if(entry.width) Object.assign(asset, {width: entry.width, height: entry.height});
+      types[kind] += asset.size;
+      assets.push(asset);
+    });
+  });
+  assets.sort((a, b) => b.size - a.size);
+  return {total: Object.values(types).reduce((a, b) => a + b, 0), types, assets};
+}
+
+/* ======= CSS pipeline (@import recursion, url()/image-set() rewriting) ======= */
+const CSS_IMPORT_DEPTH = 5; // nested @import levels followed before leaving the live URL in place
+const FONT_EXTS = ['woff','woff2','ttf','otf','eot'];
+const IMAGE_EXTS = ['png','jpg','jpeg','gif','svg','webp','avif','ico','bmp','cur'];
+
+function extOf(url){
+  return (url.split(/[?#]/)[0].split('/').pop().split('.').slice(1).pop() || '').toLowerCase();
+}
+
+/* Folder for a downloaded CSS reference, from its content-type (fonts are often served without an extension) */
+function kindFromMime(type, inFontFace){
+  if(/^font\/|font-?(woff|ttf|otf|sfnt)|x-font|ms-fontobject/.test(type)) return 'fonts';
+  if(/^image\//.test(type)) return 'images';
+  if(inFontFace && (!type || type === 'application/octet-stream')) return 'fonts';
+  return null;
+}
+
+/* String.replace with an async replacer. Matches run one after another unless `parallel` is set. */
+async function replaceAsync(str, re, fn, parallel){
+  const matches = [];
+  let m;
+  re.lastIndex = 0;
+  while((m = re.exec(str)) !== null){
+    matches.push(m);
+    if(!m[0].length) re.lastIndex++;
+  }
+  const replaced = [];
+  if(parallel) replaced.push(...await Promise.all(matches.map(fn)));
+  else for(const match of matches) replaced.push(await fn(match));
+  const parts = [];
+  let last = 0;
+  matches.forEach((match, i)=>{
+    parts.push(str.slice(last, match.index), replaced[i]);
+    last = match.index + match[0].length;
+  });
+  parts.push(str.slice(last));
+  return parts.join('');
+}
+
+/* [start, end) ranges of @font-face blocks, used to classify extension-less font URLs */
+function fontFaceRanges(css){
+  const ranges = [];
+  const re = /@font-face\s*\{[^}]*\}/gi;
+  let m;
+  while((m = re.exec(css)) !== null) ranges.push([m.index, m.index + m[0].length]);
+  return ranges;
+}
+
+/* A sheet's text as the audit reads it: one attached for other media (<link media="print">, @import url(x.css) print) is
+   wrapped in @media, so the rules skip it like a @media block written in the sheet. layer()/supports() of an @import are dropped. */
+function cssForMedia(text, media){
+  const query = (media || '').replace(/\b(layer|supports)\((?:[^()]|\([^()]*\))*\)|\blayer\b/gi, '').trim();
+  return !text || !query || /^(all|screen)$/i.test(query) ? text : `@media ${query}{${text}}`;
+}
+
+/* Rewrite every reference in a piece of CSS to the local copy.
+   baseUrl resolves relative references, savePath is where the CSS ends up (a css/ file or, for style
+   attributes, the page itself). Returns {css, fonts, images, sheets, imported}; sheets lists the @imported stylesheets and
+   imported is their text (for the audit); failed downloads keep their absolute live URL. */
+async function processCss(site, css, baseUrl, savePath, chain = []){
+  const found = {fonts: [], images: [], sheets: []};
+  let imported = '';
+  const keep = ref => !ref || /^(data:|#|about:|javascript:)/i.test(ref);
+
+  // Download one url()/image-set() reference; returns the string to put back into the CSS
+  const localRef = async (raw, inFontFace)=>{
+    const ref = raw.trim();
+    if(keep(ref)) return raw;
+    const assetUrl = resolveUrl(baseUrl, ref);
+    if(!/^https?:/i.test(assetUrl)) return raw;
+    const ext = extOf(assetUrl);
+    const kind = FONT_EXTS.includes(ext) ? 'fonts' : (IMAGE_EXTS.includes(ext) ? 'images' : null);
+    const path = await fetchBinaryAsset(site, assetUrl, kind, inFontFace);
+    if(!path) return assetUrl;
+    const folder = path.split('/')[0];
+    if(found[folder]) found[folder].push({url:assetUrl, fname:path.split('/').pop()});
+    return relativePath(savePath, path);
+  };
+
+  // 1. @import "x.css" / @import url(x.css) -> recurse (sequentially, see processPage); emitted in string form so step 3 leaves it alone
+  css = await replaceAsync(css, /@import\s+(?:url\(\s*(['"]?)([^'")]+)\1\s*\)|(['"])([^'"]+)\3)([^;]*);/gi, async m=>{
+    const importUrl = resolveUrl(baseUrl, (m[2] || m[4]).trim());
+    // browsers ignore cyclic imports, so the rule can go
+    if(chain.includes(importUrl)) return `/* @import "${importUrl}" removed: import cycle */`;
+    if(!/^https?:/i.test(importUrl) || chain.length >= CSS_IMPORT_DEPTH){
+      log(`Skipping @import (too deep): ${importUrl}`);
+      return `@import "${importUrl}"${m[5]};`;
+    }
+    const sheet = await fetchStylesheet(site, importUrl, chain);
+    found.sheets.push({url:importUrl, fname:sheet.path ? sheet.path.split('/').pop() : null}, ...sheet.sheets);
+    found.fonts.push(...sheet.fonts);
+    found.images.push(...sheet.images);
+    imported += cssForMedia(sheet.text, m[5]);
+    return `@import "${sheet.path ? relativePath(savePath, sheet.path) : importUrl}"${m[5]};`;
+  });
+
+  // 2. bare strings inside image-set("a.png" 1x, "b.png" 2x); url() forms are left for step 3
+  css = await replaceAsync(css, /((?:-webkit-)?image-set\()((?:[^()]|\([^()]*\))*)\)/gi, async m=>{
+    const inner = await replaceAsync(m[2], /(url\(\s*)?(['"])([^'"]*)\2/g, async s=>
+      s[1] ? s[0] : s[2] + await localRef(s[3], false) + s[2], true);
+    return m[1] + inner + ')';
+  }, true);
+
+  // 3. url(...) everywhere else
+  const fontFaces = fontFaceRanges(css);
+  css = await replaceAsync(css, /url\(\s*(['"]?)([^'")]*)\1\s*\)/gi, async m=>{
+    const inFontFace = fontFaces.some(([a, b]) => m.index >= a && m.index < b);
+    const ref = await localRef(m[2], inFontFace);
+    return ref === m[2] ? m[0] : `url("${ref}")`;
+  }, true);
+
+  return {css, fonts: found.fonts, images: found.images, sheets: found.sheets, imported};
+}
+
+/* Download a stylesheet (and, recursively, its imports and assets); resolves to {path, fonts, images, sheets, text} (path null on failure).
+   text is the saved CSS with its imports in front, in cascade order, so the audit can read colors; site.sources keeps the sheet's own CSS.
+   chain holds the importing sheets so @import cycles stop instead of waiting on themselves. */
+function fetchStylesheet(site, cssUrl, chain = []){
+  return cachedAsset(site, cssUrl, async ()=>{
+    log(`Fetching CSS: ${cssUrl}`);
+    const r = await fetchAsset(site, cssUrl);
+    if(!r) return {path: null, fonts: [], images: [], sheets: [], text: ''};
+    // every stylesheet is saved in css/, so references can be rewritten before the final name is known
+    const name = assetName(cssUrl, '.css');
+    const out = await processCss(site, decodeText(r), r.finalUrl || cssUrl, 'css/' + name, chain.concat(cssUrl));
+    site.sources.set(cssUrl, out.css);
+    const path = await storeAsset(site, cssUrl, 'css', name, new TextEncoder().encode(out.css), 'text/css');
+    return {path, fonts: out.fonts, images: out.images, sheets: out.sheets, text: out.imported + out.css};
+  });
+}
+
+/* ======= robots.txt & sitemap.xml ======= */
+const SITEMAP_FOLLOW_MAX = 5; // child sitemaps of a sitemap index read to find the scanned pages
+const SEO_FILE_MAX_BYTES = 50 * 1024 * 1024; // the sitemap protocol's own size limit
+
+/* Groups of a robots.txt: [{agents: ['*'], rules: [{allow, path}]}] plus the Sitemap: lines */
+function parseRobotsTxt(text){
+  const groups = [];
+  const sitemaps = [];
+  let group = null;
+  text.split(/\r?\n/).forEach(line => {
+    const m = /^\s*([a-z-]+)\s*:\s*(.*?)\s*$/i.exec(line.replace(/#.*/, ''));
+    if(!m) return;
+    const key = m[1].toLowerCase();
+    if(key === 'sitemap'){ sitemaps.push(m[2]); return; }
+    if(key === 'user-agent'){
+      // consecutive User-agent lines share one group
+      if(!group || group.rules.length) groups.push(group = {agents: [], rules: []});
+      group.agents.push(m[2].toLowerCase());
+    }else if(group && (key === 'allow' || key === 'disallow')){
+      group.rules.push({allow: key === 'allow', path: m[2]});
+    }
+  });
+  return {groups, sitemaps};
+}
+
+/* Whether robots rules let `agent` (default *) fetch url: the longest matching path wins, Allow wins ties */
+function robotsAllows(robots, url, agent = '*'){
+  const group = robots.groups.find(g => g.agents.includes(agent.toLowerCase())) || robots.groups.find(g => g.agents.includes('*'));
+  if(!group) return true;
+  const u = new URL(url);
+  const target = u.pathname + u.search;
+  let best = null;
+  group.rules.forEach(rule => {
+    if(!rule.path) return; // "Disallow:" with no path allows everything
+    const re = new RegExp('^' + rule.path.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\\\$$/, '$'));
+    if(!re.test(target)) return;
+    if(!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) best = rule;
+  });
+  return !best || best.allow;
+}
+
+/* <loc> entries of a sitemap or sitemap index */
+function parseSitemap(xml){
+  const locs = [];
+  const re = /<loc>\s*([^<]+?)\s*<\/loc>/gi;
+  let m;
+  while((m = re.exec(xml)) !== null) locs.push(m[1].replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'"));
+  return {isIndex: /<sitemapindex[\s>]/i.test(xml), locs};
+}
+
+/* Fetch /robots.txt and the sitemap (from robots.txt, else /sitemap.xml) of the scanned origin.
+   Returns {robots: {url, status, text, parsed}, sitemap: {url, status, text, urls: Set, error}}; text is null when missing. */
+async function fetchSeoFiles(site, pageUrl){
+  const origin = new URL(pageUrl).origin;
+  const getText = async url => {
+    const r = await scheduledFetch(site, url, {maxBytes: SEO_FILE_MAX_BYTES});
+    return {url, status: r.status, text: r.ok ? decodeText(r) : null, error: r.error || ''};
+  };
+
+  log('Fetching robots.txt');
+  const robots = await getText(origin + '/robots.txt');
+  robots.parsed = robots.text !== null ? parseRobotsTxt(robots.text) : {groups: [], sitemaps: []};
+
+  const sitemapUrl = robots.parsed.sitemaps.find(u => { try{ return new URL(u).origin === origin; }catch(e){ return false; } }) || origin + '/sitemap.xml';
+  log(`Fetching sitemap: ${sitemapUrl}`);
+  const sitemap = await getText(sitemapUrl);
+  sitemap.urls = new Set();
+  if(sitemap.text !== null){
+    const parsed = parseSitemap(sitemap.text);
+    if(parsed.isIndex){
+      // an index lists other sitemaps; read the first few to look for the scanned pages
+      const children = await Promise.all(parsed.locs.slice(0, SITEMAP_FOLLOW_MAX).map(getText));
+      children.forEach(c => { if(c.text !== null) parseSitemap(c.text).locs.forEach(u => sitemap.urls.add(u)); });
+      sitemap.index = {sitemaps: parsed.locs.length, read: children.filter(c => c.text !== null).length};
+    }else{
+      parsed.locs.forEach(u => sitemap.urls.add(u));
+    }
+  }
+  return {robots, sitemap};
+}
+
+/* Sitemap lookup that ignores the #hash and a trailing slash */
+function sitemapLists(sitemap, url){
+  const strip = u => u.replace(/#.*$/, '').replace(/\/$/, '');
+  const want = strip(url);
+  for(const u of sitemap.urls) if(strip(u) === want) return true;
+  return false;
+}
+
+/* ======= Link checker ======= */
+/* <a>/<area> targets of a page: http(s) URLs without their #fragment, same-origin unless external is set */
+function pageAnchors(page, external){
+  const origin = new URL(page.baseUrl).origin;
+  const anchors = [];
+  page.doc.querySelectorAll('a[href], area[href]').forEach(el => {
+    const href = (el.getAttribute('href') || '').trim();
+    if(!href || href.startsWith('#')) return;
+    let u;
+    try{ u = new URL(href, page.baseUrl); }catch(e){ return; }
+    if(!/^https?:$/.test(u.protocol) || (!external && u.origin !== origin)) return;
+    u.hash = '';
+    anchors.push({element: el, url: u.href});
+  });
+  return anchors;
+}
+
+/* Request every linked URL once (status only, no body) and attach the results to each page as
+   meta.links: [{element, url, result: {url, ok, status, finalUrl, redirects, error}}].
+   Pages the crawl already fetched are not requested again. Returns the results by URL. */
+async function checkLinks(site, pages, external){
+  const results = new Map();
+  pages.forEach(p => {
+    const r = p.meta.response;
+    results.set(p.url, {url: p.url, ok: true, status: r.status, finalUrl: p.baseUrl, redirects: r.redirects});
+    if(!results.has(p.baseUrl)) results.set(p.baseUrl, {url: p.baseUrl, ok: true, status: r.status, finalUrl: p.baseUrl, redirects: []});
+  });
+  const anchorsByPage = pages.map(p => pageAnchors(p, external));
+  let todo = Array.from(new Set(anchorsByPage.flat().map(a => a.url))).filter(u => !results.has(u));
+  if(todo.length > LINK_CHECK_MAX){
+    log(`Checking the first ${LINK_CHECK_MAX} of ${todo.length} linked URLs`);
+    todo = todo.slice(0, LINK_CHECK_MAX);
+  }
+  await Promise.all(todo.map(async linkUrl => {
+    const r = await scheduledFetch(site, linkUrl, {noBody: true});
+    if(!r.ok) log(`Broken link: ${linkUrl} — ${r.error}`);
+    results.set(linkUrl, {url: linkUrl, ok: r.ok, status: r.status, finalUrl: r.finalUrl, redirects: r.redirects || [], error: r.error});
+  }));
+  pages.forEach((p, i) => {
+    p.meta.links = anchorsByPage[i].filter(a => results.has(a.url)).map(a => Object.assign(a, {result: results.get(a.url)}));
+  });
+  return results;
+}
+
+/* audit/links.json: every checked URL with its result and the pages linking to it */
+function buildLinksReport(pages, results){
+  const linkedFrom = new Map();
+  pages.forEach(p => (p.meta.links || []).forEach(l => {
+    if(!linkedFrom.has(l.url)) linkedFrom.set(l.url, new Set());
+    linkedFrom.get(l.url).add(p.path);
+  }));
+  const links = Array.from(linkedFrom.keys()).sort().map(u => Object.assign({}, results.get(u), {pages: Array.from(linkedFrom.get(u))}));
+  return {generated: new Date().toISOString(), checked: links.length, broken: links.filter(l => !l.ok).length, links};
+}
+
+/* ======= Main process (fetch, parse, download assets, package) ======= */
+/* [selector, attribute, folder] for single-URL attributes that point at images or media */
+const MEDIA_ATTRS = [
+  ['img[src]', 'src', 'images'],
+  ['img[data-src]', 'data-src', 'images'],
+  ['img[data-lazy-src]', 'data-lazy-src', 'images'],
+  ['img[data-original]', 'data-original', 'images'],
+  ['input[type="image"][src]', 'src', 'images'],
+  ['video[poster]', 'poster', 'images'],
+  ['meta[property="og:image"], meta[property="og:image:url"], meta[property="og:image:secure_url"], meta[name="twitter:image"]', 'content', 'images'],
+  ['video[src], audio[src], video source[src], audio source[src]', 'src', 'media'],
+  ['track[src]', 'src', 'media']
+];
+const SRCSET_ATTRS = [
+  ['img[srcset], picture source[srcset]', 'srcset'],
+  ['img[data-srcset], picture source[data-srcset]', 'data-srcset']
+];
+
+// <script type> values of classic scripts; any other type but "module" marks a data block (JSON-LD, importmap, templates ...)
+const JS_MIME_TYPES = /^((text|application)\/(x-)?(java|ecma)script|text\/(jscript|livescript))$/i;
+
+/* What to do with an inline <script>: 'file' moves it into js/, 'inline' keeps it in the page, null leaves it alone
+   because it does not run (data blocks, empty scripts). Kept inline: classic scripts with async/defer (ignored inline,
+   they would apply to a file), modules with relative imports or import.meta (they resolve against the script's URL)
+   and SVG scripts. */
+function inlineScriptMode(s){
+  const type = (s.getAttribute('type') || '').trim();
+  const module = type.toLowerCase() === 'module';
+  if(!s.textContent.trim() || (type && !module && !JS_MIME_TYPES.test(type))) return null;
+  if(s.closest('svg')) return 'inline';
+  if(module) return /\bimport\.meta\b|\b(from|import)\s*\(?\s*['"]\.\.?\//.test(s.textContent) ? 'inline' : 'file';
+  return s.hasAttribute('async') || s.hasAttribute('defer') ? 'inline' : 'file';
+}
+
+/* Put a <script src> or <link> where an inline <script>/<style> was. Its attributes (type, async, defer, nonce,
+   nomodule, media, title, id ...) carry over; attrs sets the new reference. */
+function replaceInlineElement(doc, el, tag, attrs){
+  const out = doc.createElement(tag);
+  Array.from(el.attributes).forEach(a => out.setAttribute(a.name, a.value));
+  Object.entries(attrs).forEach(([name, value]) => out.setAttribute(name, value));
+  el.parentNode.replaceChild(out, el);
+  return out;
+}
+
+/* Fetch one page, move its inline code and assets into the shared folders and point the DOM at them.
+   Returns {url, baseUrl, path, doc, meta, links} or null when the page could not be fetched.
+   saved maps the paths of pages already saved (redirect targets included) to their files: a page that ends up at one of them returns {url, baseUrl, path, duplicate: true}. */
+async function processPage(site, pageUrl, pagePath, index, saved){
+  const step = text => setStage(site, site.maxPages > 1 ? `[${index+1}/${site.maxPages}] ${pagePath} — ${text}` : text);
+  // the Vite layout serves assets from public/ at the site root, so pages point at /css/... there
+  const local = path => site.rootRelative ? '/' + path : relativePath(pagePath, path);
+
+  step('Fetching HTML...');
+  log(`Fetching page: ${pageUrl}`);
+  const response = await scheduledFetch(site, pageUrl);
+  if(!response.ok){
+    log(`Page fetch failed: ${pageUrl} — ${response.error}`);
+    return null;
+  }
+  // Crawled links can lead to non-HTML resources; the start page is always parsed
+  if(index > 0 && response.contentType && !/html/i.test(response.contentType)){
+    log(`Skipping non-HTML page (${response.contentType}): ${pageUrl}`);
+    return null;
+  }
+  const htmlText = decodeText(response);
+  if(!htmlText) return null;
+  // Relative URLs resolve against the final URL after redirects
+  const url = response.finalUrl || pageUrl;
+  if(url !== pageUrl) log(`Redirected: ${pageUrl} -> ${url}`);
+  const savedAs = saved && saved.get(pagePathFromUrl(url));
+  if(savedAs) return {url: pageUrl, baseUrl: url, path: savedAs, duplicate: true};
+  step('Parsing HTML...');
+
+  // Parse DOM
+  const parser = new DOMParser();
+  const doc = parser.parseFromString(htmlText, 'text/html');
+  const links = collectPageLinks(doc, url);
+
+  // Inline code moves to one file per block where it stood, so script order and the cascade stay as they were
+  // (the first page's files have no page suffix: js/inline-script-1.js)
+  step('Extracting inline CSS/JS...');
+  const suffix = index === 0 ? '' : '-' + pageSlug(pagePath);
+  const styleEls = Array.from(doc.querySelectorAll('style')).filter(s => /^(text\/css)?$/i.test((s.getAttribute('type') || '').trim()));
+  const scriptEls = Array.from(doc.querySelectorAll('script')).filter(s => !s.hasAttribute('src') && inlineScriptMode(s));
+  const size = els => els.reduce((n, el) => n + el.textContent.length, 0);
+
+  // Keep track of meta info
+  const metaInfo = {
+    cssFiles: [], jsFiles: [], images: [], fonts: [], media: [],
+    inlineCssBlocks: styleEls.length, inlineJsBlocks: scriptEls.length,
+    inlineCssSize: size(styleEls), inlineJsSize: size(scriptEls),
+    stylesheets: [], // CSS text in cascade order (linked sheets and <style> blocks as they appear in the page)
+    extracted: new Set(), // <script src>/<link> elements made from inline code (nothing was downloaded for them on the live site)
+    htmlBytes: response.bytes.length,
+    assetUrls: new Map(), // element -> original URL of the downloaded file its src/href now points at
+    response: {status: response.status, finalUrl: url, redirects: response.redirects || [], contentType: response.contentType, headers: response.headers, upstreamHeaders: !!response.upstreamHeaders}
+  };
+
+  // Scripts are replaced in place by <script src> with the same attributes (the passes below skip them)
+  scriptEls.forEach((s, i) => {
+    if(inlineScriptMode(s) !== 'file') return;
+    const path = writeInlineFile(site, `js/inline-script${suffix}-${i+1}.js`, s.textContent, `inline <script> #${i+1} of ${url}`);
+    metaInfo.extracted.add(replaceInlineElement(doc, s, 'script', {src: local(path)}));
+  });
+
+  // One <style> block: its references are resolved against the page but rewritten for the file's location in css/.
+  // SVG styles stay in the SVG (it cannot hold a <link>) with their references rewritten for the page.
+  const extractStyle = async (s, n)=>{
+    if(!s.textContent.trim()) return;
+    const inSvg = !!s.closest('svg');
+    const savePath = inSvg ? pagePath : `css/inline-style${suffix}-${n}.css`;
+    const out = await processCss(site, s.textContent, url, savePath);
+    metaInfo.cssFiles.push(...out.sheets);
+    metaInfo.fonts.push(...out.fonts);
+    metaInfo.images.push(...out.images);
+    metaInfo.stylesheets.push(cssForMedia(out.imported + out.css, s.getAttribute('media')));
+    if(inSvg){
+      s.textContent = out.css;
+      return;
+    }
+    const path = writeInlineFile(site, savePath, out.css, `inline <style> #${n} of ${url}`);
+    metaInfo.extracted.add(replaceInlineElement(doc, s, 'link', {rel: 'stylesheet', href: local(path)}));
+  };
+
+  // Everything below downloads concurrently through the scheduler. Stylesheets run one after another
+  // so an @import cycle between two sheets is always seen through the import chain instead of deadlocking.
+  step('Downloading assets...');
+  const each = (selector, fn) => Promise.all(Array.from(doc.querySelectorAll(selector)).map(fn));
+
+  // Fetch external CSS files (and the images/fonts referenced inside them); <style> blocks are extracted in the same
+  // pass so metaInfo.stylesheets keeps the page's order
+  const cssTask = (async ()=>{
+    const cssEls = Array.from(doc.querySelectorAll('link[rel="stylesheet"], style'));
+    for(const el of cssEls){
+      if(el.tagName.toLowerCase() === 'style'){
+        if(styleEls.includes(el)) await extractStyle(el, styleEls.indexOf(el) + 1);
+        continue;
+      }
+      const href = el.getAttribute('href') || el.href;
+      const resolved = resolveUrl(url, href);
+      const sheet = await fetchStylesheet(site, resolved);
+      metaInfo.cssFiles.push({url:resolved, fname:sheet.path ? sheet.path.split('/').pop() : null}, ...sheet.sheets);
+      metaInfo.assetUrls.set(el, resolved);
+      metaInfo.stylesheets.push(cssForMedia(sheet.text, el.getAttribute('media')));
+      metaInfo.fonts.push(...sheet.fonts);
+      metaInfo.images.push(...sheet.images);
+      // failed downloads keep pointing at the live file
+      el.setAttribute('href', sheet.path ? local(sheet.path) : resolved);
+    }
+  })();
+
+  // Fetch external JS files
+  const jsTask = each('script[src]', async el=>{
+    if(metaInfo.extracted.has(el)) return;
+    const src = el.getAttribute('src') || el.src;
+    const resolved = resolveUrl(url, src);
+    const path = await fetchScript(site, resolved);
+    metaInfo.jsFiles.push({url:resolved, fname:path ? path.split('/').pop() : null});
+    metaInfo.assetUrls.set(el, resolved);
+    el.setAttribute('src', path ? local(path) : resolved);
+  });
+
+  // Download one attribute value into images/ or media/; failures point at the live URL instead
+  const localize = async (el, attr, kind, list)=>{
+    const raw = (el.getAttribute(attr) || '').trim();
+    if(!raw || /^(data:|blob:|#)/i.test(raw)) return;
+    const resolved = resolveUrl(url, raw);
+    if(!/^https?:/i.test(resolved)) return;
+    if(!site.assets.has(resolved)) log(`Fetching ${kind === 'media' ? 'media' : 'image'}: ${resolved}`);
+    const path = await fetchBinaryAsset(site, resolved, kind);
+    list.push({url:resolved, fname:path ? path.split('/').pop() : null});
+    // a lazy image's data-src becomes its src below when src is empty or a data: placeholder
+    const src = el.getAttribute('src') || '';
+    if(attr === 'src' || (attr.startsWith('data-') && (!src || src.startsWith('data:')))) metaInfo.assetUrls.set(el, resolved);
+    el.setAttribute(attr, path ? local(path) : resolved);
+  };
+  const mediaTask = Promise.all(MEDIA_ATTRS.map(([selector, attr, kind]) =>
+    each(selector, el => localize(el, attr, kind, kind === 'media' ? metaInfo.media : metaInfo.images))));
+
+  // srcset / data-srcset: every candidate is downloaded, descriptors (1x, 480w) are kept
+  const srcsetTask = Promise.all(SRCSET_ATTRS.map(([selector, attr]) => each(selector, async el=>{
+    const parts = await Promise.all(parseSrcset(el.getAttribute(attr)).map(async c=>{
+      const resolved = resolveUrl(url, c.url);
+      let ref = c.url;
+      if(/^https?:/i.test(resolved)){
+        const path = await fetchBinaryAsset(site, resolved, 'images');
+        metaInfo.images.push({url:resolved, fname:path ? path.split('/').pop() : null});
+        ref = path ? local(path) : resolved;
+      }
+      return c.descriptor ? `${ref} ${c.descriptor}` : ref;
+    }));
+    el.setAttribute(attr, parts.join(', '));
+  })));
+
+  // SVG sprites: <use href="/icons.svg#logo"> (in-document #refs are left alone)
+  const spriteTask = each('use', async use=>{
+    const attr = use.hasAttribute('href') ? 'href' : 'xlink:href';
+    const raw = (use.getAttribute(attr) || '').trim();
+    if(!raw || raw.startsWith('#')) return;
+    const resolved = resolveUrl(url, raw);
+    const hash = resolved.includes('#') ? resolved.slice(resolved.indexOf('#')) : '';
+    const spriteUrl = resolved.slice(0, resolved.length - hash.length);
+    const path = await fetchBinaryAsset(site, spriteUrl, 'images');
+    metaInfo.images.push({url:spriteUrl, fname:path ? path.split('/').pop() : null});
+    use.setAttribute(attr, (path ? local(path) : spriteUrl) + hash);
+  });
+
+  // Web app manifest (its icons are downloaded and rewritten inside the saved JSON)
+  const manifestTask = each('link[rel="manifest"][href]', async manifestLink=>{
+    const resolved = resolveUrl(url, manifestLink.getAttribute('href'));
+    const manifest = await fetchWebManifest(site, resolved);
+    if(manifest){
+      metaInfo.images.push(...manifest.images);
+      manifestLink.setAttribute('href', local(manifest.path));
+    } else {
+      manifestLink.setAttribute('href', resolved);
+    }
+  });
+
+  // Icons (favicon, apple-touch-icon, mask-icon) are saved next to index.html
+  const iconTask = each('link[rel~="icon"], link[rel~="apple-touch-icon"], link[rel~="apple-touch-icon-precomposed"], link[rel~="mask-icon"]', async iconLink=>{
+    const href = iconLink.getAttribute('href');
+    if(!href || href.startsWith('data:')) return;
+    const resolved = resolveUrl(url, href);
+    const fn = await cachedAsset(site, resolved, async ()=>{
+      const r = await fetchAsset(site, resolved, site.limits.images);
+      if(!r) return null;
+      log('Fetched icon: ' + resolved);
+      return storeAsset(site, resolved, '', assetName(resolved), r.bytes, mimeOf(r));
+    });
+    iconLink.setAttribute('href', fn ? local(fn) : resolved);
+  });
+  // try root /favicon.ico (once per run)
+  const faviconTask = doc.querySelector('link[rel~="icon"]') ? null : (async ()=>{
+    const tryFav = resolveUrl(url, '/favicon.ico');
+    await cachedAsset(site, tryFav, async ()=>{
+      const r = await scheduledFetch(site, tryFav);
+      if(!r.ok) return null;
+      log('Fetched fallback favicon');
+      return storeAsset(site, tryFav, '', 'favicon.ico', r.bytes, mimeOf(r));
+    });
+  })();
+
+  // Try to fetch font preload links
+  const preloadTask = each('link[rel="preload"][as="font"]', async l=>{
+    const href = l.getAttribute('href') || l.href;
+    const resolved = resolveUrl(url, href);
+    const path = await fetchBinaryAsset(site, resolved, 'fonts');
+    if(path){
+      l.setAttribute('href', local(path));
+      metaInfo.fonts.push({url:resolved, fname:path.split('/').pop()});
+    }
+  });
+
+  // style="background-image:url(...)" attributes are rewritten relative to the page
+  const styleAttrTask = each('[style*="url("], [style*="image-set("]', async el=>{
+    const out = await processCss(site, el.getAttribute('style'), url, pagePath);
+    metaInfo.fonts.push(...out.fonts);
+    metaInfo.images.push(...out.images);
+    el.setAttribute('style', out.css);
+  });
+
+  await Promise.all([cssTask, jsTask, mediaTask, srcsetTask, spriteTask, manifestTask, iconTask, faviconTask, preloadTask, styleAttrTask]);
+
+  // lazy-loaded images: without the site's loader script the offline copy needs a real src
+  doc.querySelectorAll('img[data-src], img[data-lazy-src], img[data-original], img[data-srcset]').forEach(img=>{
+    const src = img.getAttribute('src') || '';
+    const lazy = img.getAttribute('data-src') || img.getAttribute('data-lazy-src') || img.getAttribute('data-original');
+    if(lazy && (!src || src.startsWith('data:'))) img.setAttribute('src', lazy);
+    if(img.hasAttribute('data-srcset') && !img.hasAttribute('srcset')) img.setAttribute('srcset', img.getAttribute('data-srcset'));
+  });
+
+  return {url: pageUrl, baseUrl: url, path: pagePath, doc, meta: metaInfo, links};
+}
+
+/* Status line + progress while downloading: the percentage follows completed/total requests (0-90) */
+function setStage(site, text){
+  site.stage = text;
+  reportFetchProgress(site);
+}
+function reportFetchProgress(site){
+  const {done, total} = site.scheduler.counts;
+  site.onStatus(total ? `${site.stage} (${done}/${total} requests)` : site.stage, total ? Math.round(done / total * 90) : 0);
+}
+
+/* opts: {crawl, maxDepth, maxPages, maxImageMB, maxMediaMB, concurrency, timeoutSec, checkLinks, externalLinks, signal, onStatus, zipType, auditConfig, scaffold, autoFix}.
+   onStatus(text, percent) follows progress (either may be null when unchanged); zipType is passed to JSZip (default 'blob');
+   checkLinks (default true) requests every same-origin <a href>, externalLinks other origins too;
+   auditConfig enables/disables audit rules and overrides severities (see audit.js);
+   scaffold is a key of SCAFFOLD_TEMPLATES: 'none' (default) keeps plain folders, 'static' and 'vite' build a project around them;
+   autoFix applies fixes.js to the pages after the audit (the report still describes the pages as downloaded);
+   source is an offline input from openOfflineSource() (offline.js): pages and assets come from it instead of the network,
+   and robots.txt, the sitemap and the links are not checked; warc also returns the fetched responses as a WARC file.
+   Aborting opts.signal stops new requests; whatever was fetched so far is still packaged.
+   Returns {zip, zipName, scan, report, pages, fixes, warc, warcName, cancelled, seconds}, or null when no page could be fetched;
+   fixes lists the fixed pages as [{path, applied: [{rule, text}]}]; warc is a Uint8Array (null without opts.warc). */
+async function processSite(url, opts = {}){
+  const t0 = Date.now();
+  const signal = opts.signal || null;
+  const onStatus = opts.onStatus || (() => {});
+  const crawl = !!opts.crawl;
+  const maxDepth = crawl ? Math.max(0, opts.maxDepth || 0) : 0;
+  const maxPages = crawl ? Math.max(1, opts.maxPages || 1) : 1;
+  const scaffold = SCAFFOLD_TEMPLATES[opts.scaffold] ? opts.scaffold : 'none';
+  const source = opts.source || null;
+  if(source) log(`Offline input: ${source.label}`);
+  log(crawl ? `Starting crawl for ${url} (depth ${maxDepth}, max ${maxPages} pages)` : `Starting fetch for ${url}`);
+
+  // Prepare zip structure; asset folders are shared by every page
+  const zip = new JSZip();
+  const root = zip.folder('website');
+  const auditFolder = root.folder('audit');
+  const site = {
+    root, maxPages,
+    assets: new Map(), // resolved URL -> Promise of local path (or stylesheet info)
+    manifest: new Map(), // resolved URL -> manifest entry
+    downloaded: new Map(), // resolved URL -> bytes downloaded
+    sources: new Map(), // resolved URL -> text of a downloaded stylesheet or script
+    byHash: new Map(), // sha-256 -> stored path
+    generated: new Map(), // path of a file made by the tool -> [what it was made from]
+    inlineFiles: new Map(), // folder + content of an extracted inline block -> its path
+    usedPaths: new Set(['index.html', 'readme.md', 'origin.md', 'package.json', 'vite.config.js']),
+    rootRelative: scaffold === 'vite',
+    fetcher: source ? offlineFetcher(source) : null, // null: the active backend
+    warc: opts.warc ? [] : null, // [{response, date}] for the WARC export
+    limits: {images: (opts.maxImageMB || DEFAULT_MAX_IMAGE_MB) * 1024 * 1024, media: (opts.maxMediaMB || DEFAULT_MAX_MEDIA_MB) * 1024 * 1024},
+    signal, onStatus, timeoutMs: (opts.timeoutSec || FETCH_TIMEOUT_MS / 1000) * 1000, retries: FETCH_RETRIES, stage: ''
+  };
+  site.scheduler = createScheduler({concurrency: opts.concurrency || DEFAULT_CONCURRENCY, signal, onProgress: () => reportFetchProgress(site)});
+  ['css', 'js', 'images', 'fonts', 'media'].forEach(dir => root.folder(dir));
+
+  // Breadth-first crawl. Pages are keyed by local path so /about and /about/ are fetched once.
+  // The start page is always saved as index.html; a crawled site root swaps into the start page's usual path.
+  const pages = [];
+  const savedPaths = new Map(); // usual page path (incl. redirect targets) -> file it was saved as
+  const startPath = pagePathFromUrl(url);
+  const pathFor = u => { const p = pagePathFromUrl(u); return p === startPath ? 'index.html' : (p === 'index.html' ? startPath : p); };
+  const seen = new Set([startPath]);
+  const queue = [{url, depth:0}];
+  while(queue.length && pages.length < maxPages){
+    if(signal && signal.aborted){
+      log(`Cancelled: ${queue.length} queued page(s) not fetched`);
+      break;
+    }
+    const next = queue.shift();
+    const page = await processPage(site, next.url, pathFor(next.url), pages.length, savedPaths);
+    if(!page){
+      if(crawl) log(`Skipping page (fetch failed): ${next.url}`);
+      continue;
+    }
+    // a link that ends up at a page already saved (through a redirect) points at that file instead of saving it again
+    if(page.duplicate){
+      log(`Already saved as ${page.path}: ${next.url}`);
+      savedPaths.set(pagePathFromUrl(page.url), page.path);
+      continue;
+    }
+    pages.push(page);
+    // a redirected page also answers for its final URL, so links to either resolve locally
+    const finalPath = pagePathFromUrl(page.baseUrl);
+    savedPaths.set(pagePathFromUrl(page.url), page.path);
+    if(!savedPaths.has(finalPath)) savedPaths.set(finalPath, page.path);
+    seen.add(finalPath);
+    if(next.depth >= maxDepth) continue;
+    for(const link of page.links){
+      const path = pagePathFromUrl(link);
+      if(seen.has(path)) continue;
+      seen.add(path);
+      queue.push({url:link, depth:next.depth + 1});
+    }
+  }
+
+  const cancelled = !!(signal && signal.aborted);
+  if(!pages.length) return null;
+
+  // robots.txt & sitemap.xml of the scanned origin, for the SEO rules and the audit/ folder.
+  // Offline inputs skip them and the link check: anything the input does not hold would show up as missing.
+  if(source) log('Offline input: robots.txt, sitemap.xml and links are not checked');
+  let seo = null;
+  if(!cancelled && !source){
+    onStatus('Checking robots.txt & sitemap.xml...', null);
+    seo = await fetchSeoFiles(site, url);
+    if(seo.robots.text !== null) auditFolder.file('robots.txt', seo.robots.text);
+    if(seo.sitemap.text !== null) auditFolder.file('sitemap.xml', seo.sitemap.text);
+    pages.forEach(p => { p.meta.seo = seo; });
+  }
+
+  // Link check, before the links are rewritten to the local copies
+  let linkResults = null;
+  if(!cancelled && !source && opts.checkLinks !== false){
+    setStage(site, opts.externalLinks ? 'Checking links (including external)...' : 'Checking links...');
+    linkResults = await checkLinks(site, pages, !!opts.externalLinks);
+    auditFolder.file('links.json', JSON.stringify(buildLinksReport(pages, linkResults), null, 2));
+  }
+
+  // Rewrite internal links now that the full set of saved pages is known, then audit each page
+  onStatus('Building final project files...', 90);
+  for(const page of pages){
+    rewritePageLinks(page, savedPaths);
+    page.html = '<!doctype html>\n' + page.doc.documentElement.outerHTML;
+    root.file(page.path, page.html);
+  }
+
+  // Run heuristic scan
+  onStatus('Running AI audit...', null);
+  pages.forEach(p => {
+    p.meta.weight = pageWeight(site, p);
+    p.meta.sources = site.sources;
+    p.meta.failedAssets = failedAssets(site, p);
+  });
+  pages.forEach(p => { p.scan = runHeuristicScan(p.doc, p.url, p.meta, opts.auditConfig); });
+  const scanResult = crawl ? combineScans(url, pages) : pages[0].scan;
+
+  // Create audit files: report.md plus every format of report.js (report.json, .html, .sarif, .junit.xml, .csv)
+  const report = buildReport(scanResult, {url, cancelled});
+  auditFolder.file('report.md', scanResult.mdReport || '');
+  Object.values(REPORT_FORMATS).forEach(format => auditFolder.file(format.file, format.render(report)));
+  auditFolder.file('assets-manifest.json', JSON.stringify(buildAssetsManifest(site, url), null, 2));
+  if(crawl){
+    const pagesFolder = auditFolder.folder('pages');
+    pages.forEach(p => {
+      pagesFolder.file(pageSlug(p.path) + '.md', p.scan.mdReport || '');
+      pagesFolder.file(pageSlug(p.path) + '.json', REPORT_FORMATS.json.render(buildReport(p.scan, {url: p.url, path: p.path, cancelled})));
+    });
+  }
+
+  // Auto-fix: the pages as downloaded move to audit/original/, the patch is written once the files are final
+  const fixes = opts.autoFix ? pages.map(p => fixPage(site, p)).filter(Boolean) : [];
+
+  // Project setup around the files: package.json, editor settings, Prettier formatting, ORIGIN.md (scaffold.js)
+  if(scaffold !== 'none'){
+    onStatus('Setting up the project...', null);
+    await scaffoldProject(site, pages, {url, template: scaffold});
+  }
+
+  if(fixes.length) auditFolder.file('fixes.patch', await buildFixesPatch(root, url, fixes));
+  else if(opts.autoFix) log('Auto-fix: nothing to fix');
+
+  // README
+  const assetDir = scaffold === 'vite' ? 'public/' : '';
+  const pageList = crawl ? `\nPages (${pages.length}):\n` + pages.map(p => `- ${p.path} <- ${p.url}`).join('\n') + '\n' : '';
+  const readme = `# Website Project (generated)
+This project was generated from ${url}${source ? ` (offline input: ${source.label})` : ''}
+Open in VS Code to inspect & edit:
+- index.html
+- ${assetDir}css/
+- ${assetDir}js/
+- ${assetDir}images/
+- ${assetDir}fonts/
+- ${assetDir}media/
+- audit/report.md (also report.html, report.json, report.sarif, report.junit.xml and report.csv)
+- audit/assets-manifest.json (original URL -> local file)${crawl ? '\n- audit/pages/ (one report per page)' : ''}${seo && seo.robots.text !== null ? '\n- audit/robots.txt' : ''}${seo && seo.sitemap.text !== null ? '\n- audit/sitemap.xml' : ''}${linkResults ? '\n- audit/links.json (checked links and their status)' : ''}${fixes.length ? '\n- audit/fixes.patch (auto-fixes applied to the pages, by rule) and audit/original/ (the pages before them)' : ''}
+${pageList}${scaffold !== 'none' ? scaffoldReadme(scaffold) : ''}
+Notes:${cancelled ? '\n- The scan was cancelled: this is a partial copy, missing assets still point at the live site.' : ''}
+- Some assets may not have been fetched due to cross-origin restrictions.
+- Review audit/report.md for suggested fixes.
+`;
+  root.file('README.md', readme);
+
+  // Generate zip
+  onStatus('Packaging ZIP...', 95);
+
+  const out = await zip.generateAsync({type: opts.zipType || 'blob'}, function updateMeta(metadata){
+    // optional progress callback (metadata.percent)
+    onStatus(null, Math.min(95 + Math.round(metadata.percent/1.25), 99));
+  });
+
+  // files and folders without a URL of their own are named after the input
+  const domainName = (source && url.startsWith(OFFLINE_ORIGIN) ? source.name : domainFromUrl(url)) || 'site';
+  const safeName = safeSegment(domainName);
+  const zipName = `${safeName}.zip`;
+
+  log('Packaging complete: ' + zipName);
+
+  const warcName = `${safeName}.warc`;
+  const warc = site.warc ? buildWarc(site.warc, {url, filename: warcName}) : null;
+  if(warc) log(`WARC: ${site.warc.length} response(s), ${formatBytes(warc.length)}`);
+
+  return {zip: out, zipName, scan: scanResult, report, pages, fixes, warc, warcName: warc ? warcName : null, cancelled, seconds: Math.round((Date.now() - t0)/1000)};
+}
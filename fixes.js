@@ -0,0 +1,243 @@
+/* fixes.js — auto-fix mode (processSite's opts.autoFix)
+   - Mechanical fixes for audit findings, applied to the rebuilt pages after the audit: lang, charset, viewport,
+     a placeholder meta description, alt="" on images, rel="noopener", labels for form controls, image width/height
+   - A rule's fix only runs on pages where that rule reported a problem, so disabled rules are never fixed
+   - Anything the tool had to guess gets a TODO(axis) marker; the pages as downloaded are kept in audit/original/
+     and audit/fixes.patch is a unified diff from them to the fixed pages, listing each fix by rule
+   - Also holds the line diff used by the patch and by history.js's run comparison
+   Loaded after the rules and scaffold.js; core.js calls fixPage() and buildFixesPatch().
+*/
+
+/* ======= Configuration ======= */
+const FIX_ORIGINALS = 'audit/original/'; // pages as downloaded, the a/ side of fixes.patch
+const FIX_TODO = 'TODO(axis)';
+const FIX_VIEWPORT = 'width=device-width, initial-scale=1';
+const FIX_DEFAULT_LANG = 'en';
+// generated labels are visually hidden so the rebuilt page keeps its layout; screen readers still announce them
+const FIX_LABEL_STYLE = 'position:absolute;width:1px;height:1px;margin:-1px;overflow:hidden;clip:rect(0 0 0 0);white-space:nowrap';
+
+/* ======= Line diff ======= */
+const DIFF_CONTEXT = 3; // unchanged lines around each change
+const LINE_DIFF_MAX_CELLS = 4000000; // LCS table limit; larger changed regions are shown as removed + added
+
+/* Line diff: [{op: ' ' | '-' | '+', text}] from the longest common subsequence of the lines between
+   the common prefix and suffix */
+function diffLines(a, b){
+  const x = a.replace(/\r\n/g, '\n').split('\n'), y = b.replace(/\r\n/g, '\n').split('\n');
+  let start = 0;
+  while(start < x.length && start < y.length && x[start] === y[start]) start++;
+  let endX = x.length, endY = y.length;
+  while(endX > start && endY > start && x[endX - 1] === y[endY - 1]){ endX--; endY--; }
+  const out = x.slice(0, start).map(text => ({op: ' ', text}));
+  const n = endX - start, m = endY - start;
+  if(n * m > LINE_DIFF_MAX_CELLS){
+    x.slice(start, endX).forEach(text => out.push({op: '-', text}));
+    y.slice(start, endY).forEach(text => out.push({op: '+', text}));
+  }else{
+    // lcs[i * (m + 1) + j]: common lines of x[start + i..] and y[start + j..]
+    const lcs = new Uint32Array((n + 1) * (m + 1));
+    for(let i = n - 1; i >= 0; i--){
+      for(let j = m - 1; j >= 0; j--){
+        lcs[i * (m + 1) + j] = x[start + i] === y[start + j] ? lcs[(i + 1) * (m + 1) + j + 1] + 1
+          : Math.max(lcs[(i + 1) * (m + 1) + j], lcs[i * (m + 1) + j + 1]);
+      }
+    }
+    let i = 0, j = 0;
+    while(i < n || j < m){
+      if(i < n && j < m && x[start + i] === y[start + j]){ out.push({op: ' ', text: x[start + i]}); i++; j++; }
+      else if(i < n && (j === m || lcs[(i + 1) * (m + 1) + j] >= lcs[i * (m + 1) + j + 1])){ out.push({op: '-', text: x[start + i]}); i++; }
+      else{ out.push({op: '+', text: y[start + j]}); j++; }
+    }
+  }
+  x.slice(endX).forEach(text => out.push({op: ' ', text}));
+  return out;
+}
+
+/* Unified-diff hunks: [{header: '@@ -a,n +b,m @@', lines}] with DIFF_CONTEXT lines around the changes */
+function diffHunks(lines){
+  const ranges = [];
+  lines.forEach((l, i) => {
+    if(l.op === ' ') return;
+    const from = Math.max(0, i - DIFF_CONTEXT), to = Math.min(lines.length, i + DIFF_CONTEXT + 1);
+    const last = ranges[ranges.length - 1];
+    if(last && from <= last.to) last.to = Math.max(last.to, to);
+    else ranges.push({from, to});
+  });
+  // line numbers in the old and new text where each entry starts
+  const numbers = [];
+  let a = 1, b = 1;
+  lines.forEach(l => {
+    numbers.push({a, b});
+    if(l.op !== '+') a++;
+    if(l.op !== '-') b++;
+  });
+  return ranges.map(r => {
+    const part = lines.slice(r.from, r.to);
+    const oldCount = part.filter(l => l.op !== '+').length, newCount = part.filter(l => l.op !== '-').length;
+    return {header: `@@ -${numbers[r.from].a},${oldCount} +${numbers[r.from].b},${newCount} @@`, lines: part};
+  });
+}
+
+/* Unified diff of one file ('' when unchanged); both texts end with a newline */
+function unifiedDiff(path, before, after){
+  const hunks = diffHunks(diffLines(before.replace(/\n$/, ''), after.replace(/\n$/, '')));
+  if(!hunks.length) return '';
+  const out = [`--- a/${path}`, `+++ b/${path}`];
+  hunks.forEach(h => out.push(h.header, ...h.lines.map(l => l.op + l.text)));
+  return out.join('\n') + '\n';
+}
+
+/* ======= Fixes ======= */
+function todoComment(doc, text){
+  return doc.createComment(` ${FIX_TODO}: ${text} `);
+}
+
+/* Page language from the Content-Language header or og:locale; {lang, guessed} */
+function pageLang(page){
+  const header = ((page.meta.response && page.meta.response.headers) || {})['content-language'] || '';
+  const og = page.doc.querySelector('meta[property="og:locale"]');
+  const locale = header.split(',')[0].trim() || (og ? (og.getAttribute('content') || '').trim().replace('_', '-') : '');
+  return /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(locale) ? {lang: locale, guessed: false} : {lang: FIX_DEFAULT_LANG, guessed: true};
+}
+
+/* id not used in the document yet: axis-field-1, axis-field-2, ... */
+function freeId(doc, prefix){
+  let n = 1;
+  while(doc.getElementById(`${prefix}-${n}`)) n++;
+  return `${prefix}-${n}`;
+}
+
+/* Label text for a control from its placeholder or name: "first_name" -> "First name" */
+function controlLabel(control){
+  const text = (control.getAttribute('placeholder') || '').trim() ||
+    (control.getAttribute('name') || '').replace(/[\[\]_-]+/g, ' ').replace(/([a-z])([A-Z])/g, '$1 $2').trim().toLowerCase();
+  return text ? text[0].toUpperCase() + text.slice(1) : '';
+}
+
+/* [{rule, apply(ctx)}]: apply changes ctx.doc and returns what it did, or null when there was nothing to fix.
+   ctx: {doc, page, site}. Order matters for <head>: the charset ends up first, the viewport right after it. */
+const FIXES = [
+  {rule: 'a11y/html-lang', apply({doc, page}){
+    if(doc.documentElement.getAttribute('lang')) return null;
+    const {lang, guessed} = pageLang(page);
+    doc.documentElement.setAttribute('lang', lang);
+    if(guessed && doc.head) doc.head.appendChild(todoComment(doc, `<html lang="${lang}"> is a guess, set the page's language`));
+    return `Added lang="${lang}" to <html>${guessed ? ' (guessed)' : ''}`;
+  }},
+  {rule: 'html/viewport', apply({doc}){
+    if(doc.querySelector('meta[name="viewport"]') || !doc.head) return null;
+    const meta = doc.createElement('meta');
+    meta.setAttribute('name', 'viewport');
+    meta.setAttribute('content', FIX_VIEWPORT);
+    doc.head.insertBefore(meta, doc.head.firstChild);
+    return `Added <meta name="viewport" content="${FIX_VIEWPORT}">`;
+  }},
+  {rule: 'html/charset', apply({doc}){
+    if(doc.querySelector('meta[charset]') || !doc.head) return null;
+    // a page may declare only one encoding, so an http-equiv Content-Type declaration is replaced
+    doc.querySelectorAll('meta[http-equiv]').forEach(m => {
+      if(m.getAttribute('http-equiv').trim().toLowerCase() === 'content-type') m.remove();
+    });
+    const meta = doc.createElement('meta');
+    meta.setAttribute('charset', 'utf-8');
+    doc.head.insertBefore(meta, doc.head.firstChild);
+    return 'Added <meta charset="utf-8"> (the project files are saved as UTF-8)';
+  }},
+  {rule: 'seo/meta-description', apply({doc}){
+    if(!doc.head) return null;
+    let meta = doc.querySelector('meta[name="description"]');
+    if(meta && (meta.getAttribute('content') || '').trim()) return null;
+    if(!meta){
+      meta = doc.createElement('meta');
+      meta.setAttribute('name', 'description');
+      const title = doc.head.querySelector('title');
+      doc.head.insertBefore(meta, title ? title.nextSibling : null);
+    }
+    meta.setAttribute('content', `${FIX_TODO}: describe this page in 50-160 characters`);
+    return 'Added a placeholder meta description';
+  }},
+  {rule: 'a11y/img-alt', apply({doc}){
+    const images = Array.from(doc.querySelectorAll('img:not([alt])'));
+    images.forEach(img => {
+      img.setAttribute('alt', '');
+      img.parentNode.insertBefore(todoComment(doc, 'describe this image in alt, or keep alt="" if it is decorative'), img);
+    });
+    return images.length ? `Added alt="" and a ${FIX_TODO} marker to ${images.length} image(s)` : null;
+  }},
+  {rule: 'security/target-blank', apply({doc}){
+    const links = Array.from(doc.querySelectorAll('a[target][href], area[target][href]')).filter(a =>
+      a.getAttribute('target').trim().toLowerCase() === '_blank' && !/\bno(opener|referrer)\b/i.test(a.getAttribute('rel') || ''));
+    links.forEach(a => a.setAttribute('rel', ((a.getAttribute('rel') || '') + ' noopener').trim()));
+    return links.length ? `Added rel="noopener" to ${links.length} target="_blank" link(s)` : null;
+  }},
+  {rule: 'a11y/form-labels', apply({doc}){
+    const controls = unlabeledControls(doc);
+    controls.forEach(control => {
+      if(!control.id) control.id = freeId(doc, 'axis-field');
+      const text = controlLabel(control);
+      const label = doc.createElement('label');
+      label.setAttribute('for', control.id);
+      label.setAttribute('style', FIX_LABEL_STYLE);
+      label.textContent = text || FIX_TODO;
+      // checkboxes and radio buttons are labelled after the control, everything else before it
+      const after = /^(checkbox|radio)$/i.test(control.getAttribute('type') || '');
+      control.parentNode.insertBefore(label, after ? control.nextSibling : control);
+      label.parentNode.insertBefore(todoComment(doc, text ? `generated label "${text}", check the wording` : 'write this label'), label);
+    });
+    return controls.length ? `Added a visually hidden <label> to ${controls.length} form control(s)` : null;
+  }},
+  {rule: 'perf/image-dimensions', apply({doc, page, site}){
+    let count = 0;
+    doc.querySelectorAll('img').forEach(img => {
+      const declared = declaredSize(img) || {};
+      if(declared.width && declared.height) return;
+      const entry = site.manifest.get(page.meta.assetUrls.get(img));
+      if(!entry || !entry.width || !entry.height) return;
+      // one declared side keeps its value and the other follows the image's aspect ratio
+      const width = declared.width || (declared.height ? Math.round(declared.height * entry.width / entry.height) : entry.width);
+      const height = declared.height || Math.round(width * entry.height / entry.width);
+      img.setAttribute('width', String(width));
+      img.setAttribute('height', String(height));
+      count++;
+    });
+    return count ? `Set width/height on ${count} image(s) from the downloaded files` : null;
+  }}
+];
+
+/* Apply the fixes for the problems the audit found on one page. The page as downloaded is saved under
+   audit/original/ and the fixed one replaces it; returns {path, applied: [{rule, text}]} or null when nothing changed. */
+function fixPage(site, page){
+  const found = new Set(page.scan.findings.filter(f => f.level !== 'ok').map(f => f.rule));
+  const applied = [];
+  FIXES.forEach(fix => {
+    if(!found.has(fix.rule)) return;
+    const text = fix.apply({doc: page.doc, page, site});
+    if(text) applied.push({rule: fix.rule, text});
+  });
+  if(!applied.length) return null;
+  // both copies end with a newline so the patch needs no "No newline at end of file" markers
+  site.root.file(FIX_ORIGINALS + page.path, page.html + '\n');
+  page.html = '<!doctype html>\n' + page.doc.documentElement.outerHTML + '\n';
+  site.root.file(page.path, page.html);
+  applied.forEach(f => log(`Auto-fix ${page.path}: ${f.text}`));
+  return {path: page.path, applied};
+}
+
+/* audit/fixes.patch: the applied fixes by page and rule, then a unified diff per page (a/ = audit/original/, b/ = the project).
+   Reads both copies back from the zip, so formatting applied afterwards (scaffold.js) is part of both sides. */
+async function buildFixesPatch(root, url, fixed){
+  const lines = [
+    `Axis auto-fix of ${url}`,
+    `a/ is each page as downloaded (${FIX_ORIGINALS}), b/ the fixed page in the project.`,
+    `Search for ${FIX_TODO} to find the placeholders that need a human.`,
+    ''
+  ];
+  const diffs = [];
+  for(const page of fixed){
+    lines.push(page.path);
+    page.applied.forEach(f => lines.push(`  ${f.rule}: ${f.text}`));
+    lines.push('');
+    diffs.push(unifiedDiff(page.path, await root.file(FIX_ORIGINALS + page.path).async('string'), await root.file(page.path).async('string')));
+  }
+  return lines.join('\n') + '\n' + diffs.join('');
+}
@@ -0,0 +1,128 @@
+/* history.js — scan history for the web app
+   - Every scan is stored in IndexedDB under [url, time] with its report (report.js), scan summary,
+     rebuilt index.html and, when the user keeps them, the project zip
+   - compareScans() diffs two runs of a URL: new / resolved / unchanged findings, asset counts and weight,
+     and a line diff of the rebuilt index.html (diffLines/diffHunks from fixes.js)
+   Browser only (the CLI has no IndexedDB); loaded after report.js and fixes.js, before app.js.
+*/
+
+/* ======= Storage ======= */
+const HISTORY_DB = 'axis';
+const HISTORY_DB_VERSION = 1;
+const HISTORY_STORE = 'scans';
+
+let historyDb = null; // Promise of the open database
+
+function idbRequest(req){
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function openHistoryDb(){
+  if(historyDb) return historyDb;
+  historyDb = new Promise((resolve, reject) => {
+    if(typeof indexedDB === 'undefined'){ reject(new Error('IndexedDB is not available')); return; }
+    const req = indexedDB.open(HISTORY_DB, HISTORY_DB_VERSION);
+    req.onupgradeneeded = () => {
+      const store = req.result.createObjectStore(HISTORY_STORE, {keyPath: ['url', 'time']});
+      store.createIndex('url', 'url');
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  historyDb.catch(() => { historyDb = null; });
+  return historyDb;
+}
+
+async function historyStore(mode){
+  const db = await openHistoryDb();
+  return db.transaction(HISTORY_STORE, mode).objectStore(HISTORY_STORE);
+}
+
+/* record: {url, time, zipName, cancelled, scan, report, html, zip (Blob or null)} */
+async function saveScanRecord(record){
+  return idbRequest((await historyStore('readwrite')).put(record));
+}
+
+/* Every stored run, newest first */
+async function listScanRecords(){
+  const records = await idbRequest((await historyStore('readonly')).getAll());
+  return records.sort((a, b) => b.time - a.time);
+}
+
+async function getScanRecord(url, time){
+  return idbRequest((await historyStore('readonly')).get([url, time]));
+}
+
+async function deleteScanRecord(url, time){
+  return idbRequest((await historyStore('readwrite')).delete([url, time]));
+}
+
+async function clearScanRecords(){
+  return idbRequest((await historyStore('readwrite')).clear());
+}
+
+/* ======= Diff ======= */
+/* Findings match across runs by rule, page and text with the numbers left out, so "3 image(s) missing alt"
+   and "1 image(s) missing alt" are the same finding with a different count */
+function findingKey(f){
+  return [f.rule, f.page, f.text.replace(/\d+(\.\d+)?/g, '#')].join('|');
+}
+
+/* {added, resolved, unchanged: [{before, after}]} over warn/info findings (passes are not compared) */
+function diffFindings(before, after){
+  const open = list => list.filter(f => f.level !== 'ok');
+  const remaining = new Map();
+  open(before).forEach(f => {
+    const key = findingKey(f);
+    if(!remaining.has(key)) remaining.set(key, []);
+    remaining.get(key).push(f);
+  });
+  const added = [], unchanged = [];
+  open(after).forEach(f => {
+    const match = (remaining.get(findingKey(f)) || []).shift();
+    if(match) unchanged.push({before: match, after: f});
+    else added.push(f);
+  });
+  const resolved = Array.from(remaining.values()).flat();
+  return {added, resolved, unchanged};
+}
+
+/* [{label, before, after, bytes, better}] for the summary numbers of two reports;
+   better is 'lower' or 'higher' when a change is an improvement one way, null for plain counts */
+function diffSummary(before, after){
+  const rows = [];
+  const add = (label, get, better, bytes) => rows.push({label, before: get(before), after: get(after), better, bytes: !!bytes});
+  add('Pages', r => r.summary.pages, null);
+  add('Warnings', r => r.summary.warnings, 'lower');
+  add('Info', r => r.summary.infos, 'lower');
+  add('Passed', r => r.summary.passes, 'higher');
+  add('Images', r => r.summary.assets.images, null);
+  add('CSS', r => r.summary.assets.css, null);
+  add('JS', r => r.summary.assets.js, null);
+  add('Fonts', r => r.summary.assets.fonts, null);
+  add('Media', r => r.summary.assets.media, null);
+  if(before.weight && after.weight){
+    add('Weight', r => r.weight.total, 'lower', true);
+    Object.entries(WEIGHT_TYPES).forEach(([type, label]) => add(`${label} weight`, r => r.weight.types[type] || 0, 'lower', true));
+  }
+  return rows;
+}
+
+/* Diff of two stored runs, older first: {before, after, findings, summary, html: {added, removed, hunks}} */
+function compareScans(a, b){
+  const [before, after] = a.time <= b.time ? [a, b] : [b, a];
+  const lines = diffLines(before.html || '', after.html || '');
+  return {
+    before, after,
+    findings: diffFindings(before.report.findings, after.report.findings),
+    summary: diffSummary(before.report, after.report),
+    html: {
+      added: lines.filter(l => l.op === '+').length,
+      removed: lines.filter(l => l.op === '-').length,
+      hunks: diffHunks(lines)
+    }
+  };
+}
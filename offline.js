@@ -0,0 +1,250 @@
+/* offline.js — offline inputs and WARC export
+   - openOfflineSource() turns a HAR file (a browser's network export), a saved HTML page or a folder/zip of site files
+     into a source for processSite (opts.source): pages and assets are served from it instead of the network, through
+     the same record every fetch backend returns, so the rewrite, audit and packaging steps do not change
+   - buildWarc() writes the responses of a run as a WARC 1.1 file (opts.warc) for web archives and replay tools
+   Loaded after fixes.js; the app and the CLI read the files and pass them in as [{path, bytes}].
+*/
+
+/* ======= Configuration ======= */
+const OFFLINE_ORIGIN = 'https://offline.invalid/'; // stand-in URL of files that do not say where they came from
+const OFFLINE_IGNORED = /(^|\/)(__MACOSX\/|\.DS_Store$|Thumbs\.db$|desktop\.ini$)/i; // zip and OS clutter
+const OFFLINE_SOURCES = {har: 'the HAR file', page: 'the saved page', files: 'the offline files'}; // for "Not in ..." errors
+const WARC_VERSION = 'WARC/1.1';
+const WARC_CONFORMS_TO = 'https://iipc.github.io/warc-specifications/specifications/warc-format/warc-1.1/';
+const HTTP_REASONS = {
+  200: 'OK', 201: 'Created', 203: 'Non-Authoritative Information', 204: 'No Content', 206: 'Partial Content',
+  301: 'Moved Permanently', 302: 'Found', 303: 'See Other', 304: 'Not Modified', 307: 'Temporary Redirect', 308: 'Permanent Redirect',
+  400: 'Bad Request', 401: 'Unauthorized', 403: 'Forbidden', 404: 'Not Found', 410: 'Gone', 429: 'Too Many Requests',
+  500: 'Internal Server Error', 502: 'Bad Gateway', 503: 'Service Unavailable', 504: 'Gateway Timeout'
+};
+
+/* ======= Sources ======= */
+/* A source is {kind: 'har' | 'page' | 'files', name, label, startUrl, upstreamHeaders, lookup(url)}; lookup returns the
+   stored response {status, headers, bytes, redirectTo} for a URL, or null. bytes is null when the body was not saved. */
+
+function withoutHash(url){
+  return url.split('#')[0];
+}
+
+function concatBytes(parts){
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let offset = 0;
+  parts.forEach(p => { out.set(p, offset); offset += p.length; });
+  return out;
+}
+
+function fileLabel(path){
+  return path.split('/').pop();
+}
+
+/* HAR 1.2 (DevTools "Save all as HAR with content"). Each URL keeps its first response, unless a later one has the body
+   the first is missing. Text bodies are stored as UTF-8, so a charset in their content-type is changed to match. */
+function harSource(har, name, url){
+  const entries = new Map();
+  let firstPage = null;
+  ((har && har.log && har.log.entries) || []).forEach(e => {
+    const res = e.response || {};
+    if(!e.request || !/^https?:/i.test(e.request.url || '') || !res.status) return; // blocked or failed requests
+    const headers = {};
+    (res.headers || []).forEach(h => {
+      const key = String(h.name).toLowerCase();
+      if(key.startsWith(':')) return; // HTTP/2 pseudo-headers
+      headers[key] = key in headers ? `${headers[key]}, ${h.value}` : String(h.value);
+    });
+    const content = res.content || {};
+    if(!headers['content-type'] && content.mimeType) headers['content-type'] = content.mimeType;
+    let bytes = null;
+    if(typeof content.text === 'string'){
+      if(content.encoding === 'base64') bytes = Uint8Array.from(atob(content.text), c => c.charCodeAt(0));
+      else{
+        bytes = new TextEncoder().encode(content.text);
+        if(headers['content-type']) headers['content-type'] = headers['content-type'].replace(/charset=[^;]+/i, 'charset=utf-8');
+      }
+    }
+    const redirectTo = res.status >= 300 && res.status < 400 ? (res.redirectURL || headers.location || null) : null;
+    const key = withoutHash(e.request.url);
+    const existing = entries.get(key);
+    if(!existing || (!existing.bytes && !existing.redirectTo && (bytes || redirectTo))) entries.set(key, {status: res.status, headers, bytes, redirectTo});
+    if(!firstPage && bytes && /html/i.test(headers['content-type'] || '')) firstPage = key;
+  });
+  if(!entries.size) throw new Error('No responses in the HAR file');
+  // DevTools titles each page with its URL: that is the navigation, before any redirect
+  const page = ((har.log.pages || [])[0] || {}).title || '';
+  return {
+    kind: 'har', name, label: `HAR file ${name} (${entries.size} responses)`,
+    startUrl: url || (entries.has(withoutHash(page)) ? withoutHash(page) : firstPage) || entries.keys().next().value,
+    upstreamHeaders: true, // recorded by the browser, so they are the site's own
+    lookup: u => entries.get(withoutHash(u)) || null
+  };
+}
+
+/* Where a saved page came from: the note browsers add when saving (<!-- saved from url=(0023)https://... -->),
+   else its canonical link or og:url */
+function savedPageUrl(html){
+  const note = /<!--\s*saved from url=\(\d+\)(https?:\/\/[^\s>]+?)\s*-->/i.exec(html);
+  if(note) return note[1];
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  const el = doc.querySelector('link[rel~="canonical"][href], meta[property="og:url"][content]');
+  const found = el ? (el.getAttribute('href') || el.getAttribute('content') || '').trim() : '';
+  return /^https?:\/\//i.test(found) ? found : null;
+}
+
+/* One saved HTML file. It answers for its original URL (url, else savedPageUrl), so the report and the links match the
+   live page; its assets are not part of it and stay pointing at the live site. */
+function pageSource(bytes, name, url){
+  const pageUrl = withoutHash(url || savedPageUrl(new TextDecoder().decode(bytes)) || OFFLINE_ORIGIN);
+  const entry = {status: 200, headers: {'content-type': 'text/html'}, bytes, redirectTo: null};
+  return {
+    kind: 'page', name, label: `saved page ${name}`, startUrl: pageUrl, upstreamHeaders: false,
+    lookup: u => withoutHash(u) === pageUrl ? entry : null
+  };
+}
+
+/* Site files ([{path, bytes}] from a folder or zip) served at base, the URL of the folder (OFFLINE_ORIGIN unless url
+   says where they were published). A folder URL answers with its index.html and /about with about.html or
+   about/index.html, like a static server. Top folders that hold everything (a zipped folder) are dropped; without a
+   name the first of them names the source. */
+function filesSource(files, name, url, label){
+  files = files.filter(f => !OFFLINE_IGNORED.test(f.path));
+  if(!files.length) throw new Error('No site files in the input');
+  for(;;){
+    const top = files[0].path.split('/')[0];
+    if(!files.every(f => f.path.startsWith(top + '/'))) break;
+    files = files.map(f => Object.assign({}, f, {path: f.path.slice(top.length + 1)}));
+    name = name || top;
+  }
+  name = name || 'site';
+  const byPath = new Map(files.map(f => [f.path, f.bytes]));
+  const base = url ? new URL('./', url).href : OFFLINE_ORIGIN;
+  const basePath = new URL(base).pathname;
+  const entry = path => {
+    const bytes = byPath.get(path);
+    return bytes ? {status: 200, headers: {'content-type': MIME_TYPES[extOf(path)] || 'application/octet-stream'}, bytes, redirectTo: null} : null;
+  };
+  const lookup = u => {
+    let target;
+    try{ target = new URL(u); }catch(e){ return null; }
+    if(target.origin !== new URL(base).origin || !target.pathname.startsWith(basePath)) return null;
+    let path = target.pathname.slice(basePath.length);
+    try{ path = decodeURIComponent(path); }catch(e){ /* keep it encoded */ }
+    const candidates = !path || path.endsWith('/') ? [path + 'index.html', path + 'index.htm'] : [path, path + '.html', path + '/index.html'];
+    for(const candidate of candidates){
+      const found = entry(candidate);
+      if(found) return found;
+    }
+    return null;
+  };
+  const pages = Array.from(byPath.keys()).filter(p => /\.html?$/i.test(p)).sort((a, b) => a.split('/').length - b.split('/').length || a.localeCompare(b));
+  const start = url && lookup(url) ? withoutHash(url) : (byPath.has('index.html') ? base : (pages.length ? base + pages[0].split('/').map(encodeURIComponent).join('/') : null));
+  if(!start) throw new Error('No HTML page in the input');
+  return {
+    kind: 'files', name, label: `${label || 'folder ' + name} (${byPath.size} files)`, startUrl: start, upstreamHeaders: false, lookup
+  };
+}
+
+/* Source for picked or dropped files, [{path, bytes}] with folder-relative paths. A single .har (or HAR .json) is a HAR
+   file, a single .zip is unpacked as site files, a single .html is a saved page; anything else is a folder of site files.
+   url is optional: the start page of a HAR, the address of a saved page, or where the files are published. */
+async function openOfflineSource(files, url){
+  if(!files.length) throw new Error('No files to scan');
+  if(files.length === 1){
+    const file = files[0];
+    const ext = extOf(file.path);
+    const name = fileLabel(file.path).replace(/\.[^.]+$/, '') || 'site';
+    if(ext === 'har' || ext === 'json'){
+      let har;
+      try{ har = JSON.parse(new TextDecoder().decode(file.bytes)); }
+      catch(e){ throw new Error(`not valid JSON (${e.message})`); }
+      if(!har || !har.log || !Array.isArray(har.log.entries)) throw new Error('not a HAR file (no log.entries)');
+      return harSource(har, name, url);
+    }
+    if(ext === 'zip'){
+      const zip = await JSZip.loadAsync(file.bytes);
+      const entries = [];
+      zip.forEach((path, entry) => { if(!entry.dir) entries.push([path, entry]); });
+      const contents = await Promise.all(entries.map(async ([path, entry]) => ({path, bytes: await entry.async('uint8array')})));
+      return filesSource(contents, name, url, `files from ${fileLabel(file.path)}`);
+    }
+    if(ext === 'html' || ext === 'htm') return pageSource(file.bytes, name, url);
+  }
+  return filesSource(files, null, url);
+}
+
+/* Fetch backend over a source (processSite uses it for opts.source): redirects are followed inside the source, and what
+   it does not hold fails like a network error, so the asset keeps its live URL and shows up in links/failed-asset */
+function offlineFetcher(source){
+  return {
+    upstreamHeaders: source.upstreamHeaders,
+    async fetch(url, opts = {}){
+      const redirects = [];
+      let current = withoutHash(url);
+      for(;;){
+        const entry = source.lookup(current);
+        if(!entry) throw new Error(`Not in ${OFFLINE_SOURCES[source.kind]}`);
+        if(entry.redirectTo){
+          if(redirects.length >= MAX_REDIRECTS) throw new Error(`Too many redirects (>${MAX_REDIRECTS})`);
+          redirects.push({url: current, status: entry.status});
+          current = withoutHash(resolveUrl(current, entry.redirectTo));
+          continue;
+        }
+        if(!entry.bytes) throw new Error(`No body saved in ${OFFLINE_SOURCES[source.kind]} (HTTP ${entry.status})`);
+        if(opts.maxBytes && entry.bytes.length > opts.maxBytes) throw new Error(`Larger than the ${formatBytes(opts.maxBytes)} cap (${formatBytes(entry.bytes.length)})`);
+        return {
+          url, ok: entry.status >= 200 && entry.status < 300, status: entry.status, finalUrl: current, redirects,
+          headers: entry.headers, upstreamHeaders: source.upstreamHeaders, contentType: entry.headers['content-type'] || '',
+          bytes: opts.noBody ? new Uint8Array(0) : entry.bytes
+        };
+      }
+    }
+  };
+}
+
+/* ======= WARC export ======= */
+function warcDate(date){
+  return date.toISOString().replace(/\.\d+Z$/, 'Z');
+}
+
+function warcRecordId(){
+  return `<urn:uuid:${crypto.randomUUID()}>`;
+}
+
+/* One record: version line, named fields, Content-Length of the block, a blank line, the block and two CRLFs */
+function warcRecord(fields, block){
+  const head = [WARC_VERSION].concat(Object.entries(fields).map(([k, v]) => `${k}: ${v}`), `Content-Length: ${block.length}`, '', '').join('\r\n');
+  return [new TextEncoder().encode(head), block, new TextEncoder().encode('\r\n\r\n')];
+}
+
+/* An HTTP/1.1 response message. Bodies are kept decoded, so Content-Encoding and Transfer-Encoding are left out and
+   Content-Length is the stored size. */
+function httpResponseBlock(status, headers, body){
+  const lines = [`HTTP/1.1 ${status} ${HTTP_REASONS[status] || ''}`];
+  Object.entries(headers).forEach(([k, v]) => {
+    if(!/^(content-encoding|transfer-encoding|content-length)$/i.test(k)) lines.push(`${k}: ${String(v).replace(/[\r\n]+/g, ' ')}`);
+  });
+  lines.push(`content-length: ${body.length}`, '', '');
+  return concatBytes([new TextEncoder().encode(lines.join('\r\n')), body]);
+}
+
+/* WARC 1.1 file of a run: a warcinfo record, then a response record per fetched URL in the order they arrived.
+   records: [{response (a fetch record), date}]. Redirect hops get a bodyless response with their status and Location.
+   Only the site's own headers are written (the local fetcher, the CLI, a HAR); other records keep just their Content-Type,
+   since a proxy's headers or a made-up set would be replayed as the site's. */
+function buildWarc(records, {url, filename}){
+  const infoId = warcRecordId();
+  const info = `software: Axis\r\nformat: WARC File Format 1.1\r\nconformsTo: ${WARC_CONFORMS_TO}\r\nisPartOf: ${url}\r\n`;
+  const parts = warcRecord({
+    'WARC-Type': 'warcinfo', 'WARC-Record-ID': infoId, 'WARC-Date': warcDate(new Date()), 'WARC-Filename': filename,
+    'Content-Type': 'application/warc-fields'
+  }, new TextEncoder().encode(info));
+  records.forEach(({response: r, date}) => {
+    const add = (uri, block) => parts.push(...warcRecord({
+      'WARC-Type': 'response', 'WARC-Record-ID': warcRecordId(), 'WARC-Date': warcDate(date), 'WARC-Target-URI': uri,
+      'WARC-Warcinfo-ID': infoId, 'Content-Type': 'application/http;msgtype=response'
+    }, block));
+    const hops = r.redirects || [];
+    hops.forEach((hop, i) => add(hop.url, httpResponseBlock(hop.status, {location: i + 1 < hops.length ? hops[i + 1].url : r.finalUrl}, new Uint8Array(0))));
+    add(r.finalUrl || r.url, httpResponseBlock(r.status, r.upstreamHeaders ? r.headers : {'content-type': r.contentType}, r.bytes));
+  });
+  return concatBytes(parts);
+}
@@ -0,0 +1,216 @@
+/* preview.js — live preview of the rebuilt project, straight from the zip
+   - Every file under website/ is served to the preview iframe as a blob: URL; pages and stylesheets are rewritten
+     so their project paths point at those blobs (CSS url() and @import included)
+   - References that still point at the live site, or at files missing from the zip, are collected and marked in the
+     page (data-axis-live / data-axis-missing) so the app can list and highlight them
+   - The app shows pages in an iframe sandboxed without allow-scripts: site scripts, forms and popups never run
+   - A Vite project (scaffold.js) serves its public/ folder at the site root, as the Vite dev server does
+   Browser only; loaded after history.js and before app.js.
+*/
+
+/* ======= Configuration ======= */
+const PREVIEW_ROOT = 'website/'; // project folder inside the zip
+const PREVIEW_ORIGIN = 'https://axis-preview.invalid'; // stand-in origin for resolving project paths
+const PREVIEW_URL_ATTRS = ['src', 'poster', 'data', 'data-src', 'data-lazy-src', 'data-original'];
+const PREVIEW_SRCSET_ATTRS = ['srcset', 'data-srcset', 'imagesrcset'];
+const PREVIEW_LINK_RELS = /\b(stylesheet|icon|preload|modulepreload|prefetch|manifest)\b/i; // <link>s that load something (not canonical, alternate, ...)
+const PREVIEW_HIGHLIGHT_CSS = '[data-axis-live]{outline:3px dashed #f59e0b !important;outline-offset:-3px}' +
+  '[data-axis-missing]{outline:3px dashed #ef4444 !important;outline-offset:-3px}';
+// "Block live-site requests": only the project's own blobs (and inline data) may load
+const PREVIEW_CSP = "default-src 'none'; img-src blob: data:; style-src blob: 'unsafe-inline'; font-src blob: data:; media-src blob: data:; frame-src blob:";
+
+/* ======= Zip contents ======= */
+function previewExt(path){
+  const m = /\.([a-z0-9]+)$/i.exec(path);
+  return m ? m[1].toLowerCase() : '';
+}
+
+function previewType(path){
+  return MIME_TYPES[previewExt(path)] || 'application/octet-stream';
+}
+
+/* Open a project zip: {files: Map path -> JSZip entry (paths relative to website/), publicDir, urls, cssIssues, created} */
+async function openPreview(zipBlob){
+  const zip = await JSZip.loadAsync(zipBlob);
+  const files = new Map();
+  zip.forEach((name, entry) => {
+    if(!entry.dir && name.startsWith(PREVIEW_ROOT)) files.set(name.slice(PREVIEW_ROOT.length), entry);
+  });
+  return {
+    files,
+    publicDir: files.has('vite.config.js') ? 'public/' : '', // also served from the site root
+    urls: new Map(), // path -> Promise of its blob: URL
+    cssIssues: new Map(), // stylesheet path -> {live, missing} found in it and in the sheets it imports
+    created: [] // every blob: URL handed out, revoked by closePreview
+  };
+}
+
+function closePreview(preview){
+  preview.created.forEach(url => URL.revokeObjectURL(url));
+  preview.created = [];
+  preview.urls.clear();
+}
+
+function previewBlobUrl(preview, parts, type){
+  const url = URL.createObjectURL(new Blob(parts, {type}));
+  preview.created.push(url);
+  return url;
+}
+
+/* Zip entry a project path loads, or null */
+function previewEntry(preview, path){
+  return preview.files.get(path) || (preview.publicDir && preview.files.get(preview.publicDir + path)) || null;
+}
+
+/* A reference in a project file: {path, hash} inside the project, {live: url} for http(s) URLs, null when it loads nothing */
+function previewTarget(fromPath, ref){
+  ref = (ref || '').trim();
+  if(!ref || ref[0] === '#' || /^(data|blob|mailto|tel|javascript|about):/i.test(ref)) return null;
+  let u;
+  try{ u = new URL(ref, `${PREVIEW_ORIGIN}/${fromPath}`); }
+  catch(e){ return null; }
+  if(u.origin === PREVIEW_ORIGIN){
+    let path = u.pathname.slice(1);
+    try{ path = decodeURIComponent(path); }catch(e){ /* keep it encoded */ }
+    return {path, hash: u.hash};
+  }
+  return /^https?:$/.test(u.protocol) ? {live: u.href} : null;
+}
+
+/* ======= Rewriting ======= */
+function addIssues(into, from){
+  from.live.forEach(i => into.live.push(i));
+  from.missing.forEach(i => into.missing.push(i));
+}
+
+/* blob: URL of a project file (stylesheets rewritten first), or null when the zip does not have it.
+   issues collects what the file itself still loads from the live site or misses. */
+function previewFileUrl(preview, path, issues, chain = []){
+  const entry = previewEntry(preview, path);
+  if(!entry) return Promise.resolve(null);
+  if(!preview.urls.has(path)){
+    preview.urls.set(path, (async () => {
+      if(previewExt(path) !== 'css') return previewBlobUrl(preview, [await entry.async('uint8array')], previewType(path));
+      const found = {live: [], missing: []};
+      const css = await rewritePreviewCss(preview, await entry.async('string'), path, found, chain.concat(path));
+      preview.cssIssues.set(path, found);
+      return previewBlobUrl(preview, [css], 'text/css');
+    })());
+  }
+  return preview.urls.get(path).then(url => {
+    if(preview.cssIssues.has(path)) addIssues(issues, preview.cssIssues.get(path));
+    return url;
+  });
+}
+
+/* url(...) and @import "..." of a stylesheet (or <style>/style="" text) resolved against fromPath */
+async function rewritePreviewCss(preview, css, fromPath, issues, chain = []){
+  const replace = async (ref, wrap) => {
+    const target = previewTarget(fromPath, ref);
+    if(!target) return null;
+    if(target.live){
+      issues.live.push({url: target.live, from: fromPath});
+      return null;
+    }
+    // an import cycle would wait on itself; browsers ignore the repeated sheet anyway
+    if(chain.includes(target.path)) return null;
+    const url = await previewFileUrl(preview, target.path, issues, chain);
+    if(!url){
+      issues.missing.push({path: target.path, from: fromPath});
+      return null;
+    }
+    return wrap(url + target.hash);
+  };
+  css = await replaceAsync(css, /@import\s+(['"])([^'"]+)\1/gi, async m => (await replace(m[2], url => `@import "${url}"`)) || m[0]);
+  return replaceAsync(css, /url\(\s*(['"]?)([^'")]+)\1\s*\)/gi, async m => (await replace(m[2], url => `url("${url}")`)) || m[0], true);
+}
+
+/* Describe an element for the issue lists: <img src> */
+function previewWhere(el, attr){
+  return `<${el.tagName.toLowerCase()}${attr ? ' ' + attr : ''}>`;
+}
+
+/* Rewrite one project page for the iframe. Returns {url (blob: of the page), live: [{url, from}], missing: [{path, from}]};
+   links to other project pages keep their href and get data-axis-page="path#hash" for the app to follow. */
+async function previewPage(preview, path, opts = {}){
+  const entry = previewEntry(preview, path);
+  if(!entry) throw new Error(`Not in the project: ${path}`);
+  const doc = new DOMParser().parseFromString(await entry.async('string'), 'text/html');
+  const issues = {live: [], missing: []};
+  const jobs = [];
+
+  // one URL attribute: point it at the blob, or mark the element
+  const rewrite = (el, attr, value, set) => {
+    const target = previewTarget(path, value);
+    if(!target) return;
+    if(target.live){
+      issues.live.push({url: target.live, from: previewWhere(el, attr)});
+      el.setAttribute('data-axis-live', '');
+      return;
+    }
+    jobs.push(previewFileUrl(preview, target.path, issues).then(url => {
+      if(url) return set(url + target.hash);
+      issues.missing.push({path: target.path, from: previewWhere(el, attr)});
+      el.setAttribute('data-axis-missing', '');
+    }));
+  };
+
+  doc.querySelectorAll('meta[http-equiv]').forEach(m => {
+    // a refresh would take the iframe to another page (often the live site)
+    if(m.getAttribute('http-equiv').trim().toLowerCase() === 'refresh') m.remove();
+  });
+  doc.querySelectorAll('*').forEach(el => {
+    const tag = el.tagName.toLowerCase();
+    if(tag === 'a' || tag === 'area'){
+      const target = previewTarget(path, el.getAttribute('href'));
+      if(target && target.path !== undefined){
+        if(previewEntry(preview, target.path)) el.setAttribute('data-axis-page', target.path + target.hash);
+        else{
+          issues.missing.push({path: target.path, from: previewWhere(el, 'href')});
+          el.setAttribute('data-axis-missing', '');
+        }
+      }
+    }else if(tag === 'link' && el.hasAttribute('href') && PREVIEW_LINK_RELS.test(el.getAttribute('rel') || '')){
+      rewrite(el, 'href', el.getAttribute('href'), url => el.setAttribute('href', url));
+    }
+    PREVIEW_URL_ATTRS.forEach(attr => {
+      if(el.hasAttribute(attr) && tag !== 'meta') rewrite(el, attr, el.getAttribute(attr), url => el.setAttribute(attr, url));
+    });
+    PREVIEW_SRCSET_ATTRS.forEach(attr => {
+      if(!el.hasAttribute(attr)) return;
+      const candidates = parseSrcset(el.getAttribute(attr));
+      const update = () => el.setAttribute(attr, candidates.map(c => c.url + (c.descriptor ? ' ' + c.descriptor : '')).join(', '));
+      candidates.forEach(c => rewrite(el, attr, c.url, url => { c.url = url; update(); }));
+    });
+    if(el.hasAttribute('style')){
+      jobs.push(rewritePreviewCss(preview, el.getAttribute('style'), path, issues).then(css => el.setAttribute('style', css)));
+    }
+    if(tag === 'style'){
+      jobs.push(rewritePreviewCss(preview, el.textContent, path, issues).then(css => { el.textContent = css; }));
+    }
+  });
+  await Promise.all(jobs);
+
+  const head = doc.head || doc.documentElement;
+  const style = doc.createElement('style');
+  style.textContent = PREVIEW_HIGHLIGHT_CSS;
+  head.appendChild(style);
+  if(opts.blockLive){
+    const csp = doc.createElement('meta');
+    csp.setAttribute('http-equiv', 'Content-Security-Policy');
+    csp.setAttribute('content', PREVIEW_CSP);
+    head.insertBefore(csp, head.firstChild);
+  }
+  const html = '<!doctype html>\n' + doc.documentElement.outerHTML;
+  return {url: previewBlobUrl(preview, [html], 'text/html'), live: issues.live, missing: issues.missing};
+}
+
+/* Any other project file for the iframe: text as plain text, images and media as themselves; null for fonts and other binaries */
+async function previewFile(preview, path){
+  const entry = previewEntry(preview, path);
+  const type = previewType(path);
+  if(!entry) return null;
+  if(/^(text|application)\/(?!octet-stream|vnd)/.test(type)) return previewBlobUrl(preview, [await entry.async('string')], 'text/plain;charset=utf-8');
+  if(/^(image|video|audio)\//.test(type)) return previewBlobUrl(preview, [await entry.async('uint8array')], type);
+  return null;
+}
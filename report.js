@@ -0,0 +1,303 @@
+/* report.js — Axis report formats
+   - buildReport() turns a scan (runHeuristicScan/combineScans in audit.js) into the versioned report.json,
+     documented in schema/report.schema.json
+   - Exporters: standalone HTML (severity filters, element snippets), SARIF 2.1.0 for code scanning,
+     JUnit XML for CI test results and CSV for spreadsheets
+   Every exporter reads the JSON report, so a saved report.json can be converted again later.
+*/
+
+/* ======= Report JSON ======= */
+const REPORT_SCHEMA_VERSION = '1.0'; // minor: fields added, major: fields changed or removed
+const REPORT_TOOL = {name: 'Axis', version: '1.0.0', informationUri: 'https://axis-wasmer-app-deployments.wasmer.app/'};
+const REPORT_LEVELS = {warn: 'Warning', info: 'Info', ok: 'Passed'};
+
+/* {url, path, cancelled}: path is the page's file in the project when the scan has no pages[] (single page) */
+function buildReport(scan, info = {}){
+  const url = info.url || '';
+  const pages = scan.pages || [{
+    url, path: info.path || 'index.html', title: scan.title,
+    warnings: scan.findings.filter(f => f.level === 'warn').length,
+    bytes: scan.weight ? scan.weight.total : undefined
+  }];
+  const findings = scan.findings.map(f => ({
+    rule: f.rule, category: f.category, level: f.level, page: f.page || pages[0].path, text: f.text, fix: f.fix || '',
+    wcag: f.wcag || [], count: f.count || 0, elements: f.elements || [], data: f.data || null
+  }));
+  const count = level => findings.filter(f => f.level === level).length;
+  const ruleIds = Array.from(new Set(findings.map(f => f.rule)));
+  return {
+    schemaVersion: REPORT_SCHEMA_VERSION,
+    tool: {name: REPORT_TOOL.name, version: REPORT_TOOL.version},
+    url, generatedAt: new Date().toISOString(), cancelled: !!info.cancelled,
+    summary: {
+      title: scan.title, description: scan.description, lang: scan.lang, pages: pages.length,
+      assets: {images: scan.images, css: scan.css, js: scan.js, fonts: scan.fonts, media: scan.media},
+      inlineCssBlocks: scan.inlineCssBlocks || 0, inlineJsBlocks: scan.inlineJsBlocks || 0,
+      warnings: count('warn'), infos: count('info'), passes: count('ok')
+    },
+    weight: scan.weight || null,
+    pages: pages.map(p => ({url: p.url, path: p.path, title: p.title || '', warnings: p.warnings, bytes: p.bytes === undefined ? null : p.bytes})),
+    rules: ruleIds.map(id => {
+      const rule = RULES.get(id);
+      const finding = findings.find(f => f.rule === id);
+      // findings of unknown rules (a plugin missing on this run) keep what the finding itself says
+      return rule ? {id, category: rule.category, severity: rule.severity, description: rule.description, fix: rule.fix, wcag: rule.wcag.map(wcagLink)}
+        : {id, category: finding.category, severity: finding.level === 'ok' ? 'info' : finding.level, description: '', fix: finding.fix, wcag: finding.wcag};
+    }),
+    findings,
+    suggestions: scan.suggestions || []
+  };
+}
+
+/* ======= Helpers ======= */
+function xmlEscape(s){
+  return String(s === undefined || s === null ? '' : s)
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '') // not allowed in XML 1.0
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+function reportDomain(report){
+  return domainFromUrl(report.url) || report.url || 'site';
+}
+
+/* ======= HTML ======= */
+const REPORT_HTML_STYLE = `
+:root{--warn:#b45309;--info:#475569;--ok:#047857;--line:#e2e8f0;--muted:#64748b}
+*{box-sizing:border-box}
+body{margin:0;font:14px/1.5 system-ui,-apple-system,"Segoe UI",Roboto,sans-serif;color:#0f172a;background:#f8fafc}
+header,main{max-width:1000px;margin:0 auto;padding:16px 20px}
+h1{font-size:22px;margin:0 0 4px}
+h2{font-size:17px;margin:24px 0 8px}
+a{color:#2563eb}
+code,pre{font-family:ui-monospace,SFMono-Regular,Menlo,Consolas,monospace;font-size:12px}
+pre{margin:2px 0 8px;padding:6px 8px;background:#f1f5f9;border-radius:4px;white-space:pre-wrap;word-break:break-all}
+table{border-collapse:collapse;width:100%;background:#fff}
+th,td{text-align:left;padding:4px 8px;border-bottom:1px solid var(--line);vertical-align:top}
+.muted{color:var(--muted)}
+.counts{display:flex;gap:8px;flex-wrap:wrap;margin:12px 0}
+.count{padding:4px 10px;border-radius:999px;background:#fff;border:1px solid var(--line)}
+.filters{position:sticky;top:0;display:flex;gap:16px;flex-wrap:wrap;align-items:center;padding:8px 0;background:#f8fafc;border-bottom:1px solid var(--line)}
+.finding{background:#fff;border:1px solid var(--line);border-left:4px solid var(--info);border-radius:6px;padding:8px 12px;margin:8px 0}
+.finding.warn{border-left-color:var(--warn)}
+.finding.ok{border-left-color:var(--ok)}
+.level{display:inline-block;min-width:64px;font-size:11px;font-weight:600;text-transform:uppercase}
+.warn .level{color:var(--warn)}
+.info .level{color:var(--info)}
+.ok .level{color:var(--ok)}
+.fix{margin:4px 0 0;color:var(--muted)}
+details{margin-top:6px}
+summary{cursor:pointer;color:var(--muted)}
+ul.elements{list-style:none;margin:6px 0 0;padding:0}
+`;
+
+/* Hides findings whose level is unticked or whose category is not the selected one */
+const REPORT_HTML_SCRIPT = `
+function applyFilters(){
+  var levels = Array.prototype.filter.call(document.querySelectorAll('.filters input'), function(i){ return i.checked; }).map(function(i){ return i.value; });
+  var category = document.getElementById('category').value;
+  document.querySelectorAll('.finding').forEach(function(f){
+    f.hidden = levels.indexOf(f.getAttribute('data-level')) < 0 || (category !== '' && f.getAttribute('data-category') !== category);
+  });
+  document.querySelectorAll('section.page').forEach(function(s){
+    s.hidden = !s.querySelector('.finding:not([hidden])');
+  });
+}
+document.querySelectorAll('.filters input, .filters select').forEach(function(el){ el.addEventListener('change', applyFilters); });
+applyFilters();
+`;
+
+function findingHtml(f){
+  const wcag = f.level === 'ok' ? '' : f.wcag.map(w => w.url ? ` · <a href="${xmlEscape(w.url)}" title="${xmlEscape(w.name)}">WCAG ${xmlEscape(w.sc)}</a>` : ` · WCAG ${xmlEscape(w.sc)}`).join('');
+  const elements = f.elements.length ? `
+      <details><summary>${f.count} element${f.count === 1 ? '' : 's'}${f.count > f.elements.length ? ` (first ${f.elements.length})` : ''}</summary><ul class="elements">${f.elements.map(e => `
+        <li><code>${xmlEscape(e.selector)}</code>${e.note ? ` <span class="muted">${xmlEscape(e.note)}</span>` : ''}<pre>${xmlEscape(e.snippet)}</pre></li>`).join('')}
+      </ul></details>` : '';
+  return `
+    <article class="finding ${f.level}" data-level="${f.level}" data-category="${xmlEscape(f.category)}">
+      <div><span class="level">${REPORT_LEVELS[f.level] || f.level}</span> <strong>${xmlEscape(f.text)}</strong></div>
+      <p class="fix"><code>${xmlEscape(f.rule)}</code>${f.level !== 'ok' && f.fix ? ' — ' + xmlEscape(f.fix) : ''}${wcag}</p>${elements}
+    </article>`;
+}
+
+/* Standalone page: no external CSS, scripts or fonts, so it opens from the zip or as a CI artifact */
+function reportHtml(report){
+  const s = report.summary;
+  const categories = Array.from(new Set(report.findings.map(f => f.category)));
+  const weight = report.weight;
+  const weightRows = weight ? Object.entries(weight.types).filter(([, bytes]) => bytes)
+    .map(([type, bytes]) => `<tr><td>${WEIGHT_TYPES[type] || type}</td><td>${formatBytes(bytes)}</td><td>${Math.round(bytes / weight.total * 100)}%</td></tr>`).join('') : '';
+  const sections = report.pages.map(p => {
+    const findings = report.findings.filter(f => f.page === p.path);
+    const head = report.pages.length > 1 ? `<h2>${xmlEscape(p.path)} <span class="muted">${xmlEscape(p.url)}</span></h2>` : '';
+    return `<section class="page">${head}${findings.map(findingHtml).join('')}
+  </section>`;
+  }).join('\n  ');
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width,initial-scale=1">
+<title>Axis audit — ${xmlEscape(reportDomain(report))}</title>
+<style>${REPORT_HTML_STYLE}</style>
+</head>
+<body>
+<header>
+  <h1>Audit report — ${xmlEscape(reportDomain(report))}</h1>
+  <div class="muted"><a href="${xmlEscape(report.url)}">${xmlEscape(report.url)}</a> · ${xmlEscape(report.generatedAt)} · ${s.pages} page${s.pages === 1 ? '' : 's'}${report.cancelled ? ' · cancelled (partial scan)' : ''}</div>
+  <div class="counts">
+    <span class="count" style="color:var(--warn)">${s.warnings} warning${s.warnings === 1 ? '' : 's'}</span>
+    <span class="count">${s.infos} info</span>
+    <span class="count" style="color:var(--ok)">${s.passes} passed</span>
+  </div>
+  <table>
+    <tr><th>Title</th><td>${xmlEscape(s.title || '(missing)')}</td></tr>
+    <tr><th>Description</th><td>${xmlEscape(s.description || '(missing)')}</td></tr>
+    <tr><th>Lang</th><td>${xmlEscape(s.lang || '(missing)')}</td></tr>
+    <tr><th>Assets</th><td>${s.assets.images} images, ${s.assets.css} CSS, ${s.assets.js} JS, ${s.assets.fonts} fonts, ${s.assets.media} media</td></tr>
+  </table>${weight ? `
+  <h2>${s.pages > 1 ? 'Site' : 'Page'} weight: ${formatBytes(weight.total)}</h2>
+  <table>${weightRows}</table>${weight.largest.length ? `
+  <details><summary>Largest files</summary><table>${weight.largest.map(a =>
+    `<tr><td><code>${xmlEscape(a.path || a.url)}</code></td><td>${formatBytes(a.size)}</td><td>${a.width ? `${a.width}×${a.height}` : ''}</td></tr>`).join('')}</table></details>` : ''}` : ''}
+</header>
+<main>
+  <h2>Findings</h2>
+  <div class="filters">
+    <label><input type="checkbox" value="warn" checked> Warnings</label>
+    <label><input type="checkbox" value="info" checked> Info</label>
+    <label><input type="checkbox" value="ok"> Passed</label>
+    <label>Category <select id="category"><option value="">All</option>${categories.map(c =>
+      `<option value="${xmlEscape(c)}">${xmlEscape(RULE_CATEGORIES[c] || c)}</option>`).join('')}</select></label>
+  </div>
+  ${sections}${report.suggestions.length ? `
+  <h2>Suggestions</h2>
+  <ul>${report.suggestions.map(t => `<li>${xmlEscape(t)}</li>`).join('')}</ul>` : ''}
+</main>
+<script>${REPORT_HTML_SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+/* ======= SARIF ======= */
+const SARIF_LEVELS = {warn: 'warning', info: 'note'};
+
+/* SARIF 2.1.0: one result per warn/info finding, located in the page file of the project with the element's selector.
+   Regions need line numbers the DOM does not keep, so the snippet goes in the location message. */
+function reportSarif(report){
+  const ruleIndex = new Map(report.rules.map((r, i) => [r.id, i]));
+  const results = report.findings.filter(f => SARIF_LEVELS[f.level]).map(f => {
+    const artifactLocation = {uri: f.page};
+    const locations = f.elements.length ? f.elements.map(e => ({
+      physicalLocation: {artifactLocation},
+      logicalLocations: [{fullyQualifiedName: e.selector, kind: 'element'}],
+      message: {text: e.note ? `${e.note}: ${e.snippet}` : e.snippet}
+    })) : [{physicalLocation: {artifactLocation}}];
+    const result = {
+      ruleId: f.rule, ruleIndex: ruleIndex.get(f.rule), level: SARIF_LEVELS[f.level],
+      message: {text: f.count > f.elements.length ? `${f.text} (${f.elements.length} of ${f.count} elements listed)` : f.text},
+      locations,
+      partialFingerprints: {'axisFinding/v1': [f.rule, f.page, f.elements.length ? f.elements[0].selector : f.text].join('|')}
+    };
+    if(f.data) result.properties = {data: f.data};
+    return result;
+  });
+  const sarif = {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {driver: {
+        name: REPORT_TOOL.name, version: REPORT_TOOL.version, informationUri: REPORT_TOOL.informationUri,
+        rules: report.rules.map(r => {
+          const rule = {
+            id: r.id, shortDescription: {text: r.description || r.id},
+            defaultConfiguration: {level: SARIF_LEVELS[r.severity] || 'note'},
+            properties: {category: r.category, tags: [r.category].concat(r.wcag.map(w => `wcag${w.sc}`))}
+          };
+          if(r.fix) rule.help = {text: r.fix};
+          const helpUri = r.wcag.map(w => w.url).find(Boolean);
+          if(helpUri) rule.helpUri = helpUri;
+          return rule;
+        })
+      }},
+      artifacts: report.pages.map(p => ({location: {uri: p.path}, description: {text: p.url}})),
+      invocations: [{executionSuccessful: !report.cancelled, endTimeUtc: report.generatedAt}],
+      properties: {url: report.url, schemaVersion: report.schemaVersion},
+      results
+    }]
+  };
+  return JSON.stringify(sarif, null, 2);
+}
+
+/* ======= JUnit XML ======= */
+/* One <testsuite> per rule category and one <testcase> per finding: warnings fail, info and passes succeed
+   (info text goes to <system-out>). The classname is the page file so CI groups results by page. */
+function reportJUnit(report){
+  const categories = Array.from(new Set(report.findings.map(f => f.category)));
+  const failures = report.findings.filter(f => f.level === 'warn').length;
+  const suites = categories.map(category => {
+    const findings = report.findings.filter(f => f.category === category);
+    const cases = findings.map(f => {
+      const detail = [f.text, f.fix ? `Fix: ${f.fix}` : '']
+        .concat(f.wcag.map(w => `WCAG ${w.sc}${w.name ? ' ' + w.name : ''}${w.url ? ' ' + w.url : ''}`))
+        .concat(f.elements.map(e => `${e.selector}${e.note ? ` (${e.note})` : ''}\n  ${e.snippet}`))
+        .concat(f.count > f.elements.length ? [`... and ${f.count - f.elements.length} more`] : [])
+        .filter(Boolean).join('\n');
+      const open = `    <testcase classname="${xmlEscape(f.page)}" name="${xmlEscape(`${f.rule}: ${f.text}`)}" time="0">`;
+      if(f.level === 'warn') return `${open}\n      <failure type="${xmlEscape(f.rule)}" message="${xmlEscape(f.text)}">${xmlEscape(detail)}</failure>\n    </testcase>`;
+      if(f.level === 'info') return `${open}\n      <system-out>${xmlEscape(detail)}</system-out>\n    </testcase>`;
+      return `${open}</testcase>`;
+    });
+    const failed = findings.filter(f => f.level === 'warn').length;
+    return `  <testsuite name="${xmlEscape(RULE_CATEGORIES[category] || category)}" tests="${findings.length}" failures="${failed}" errors="0" skipped="0" timestamp="${report.generatedAt.replace(/\.\d+Z$/, '')}">
+${cases.join('\n')}
+  </testsuite>`;
+  });
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="${xmlEscape(`Axis audit — ${report.url}`)}" tests="${report.findings.length}" failures="${failures}" errors="0">
+${suites.join('\n')}
+</testsuites>
+`;
+}
+
+/* ======= CSV ======= */
+const CSV_COLUMNS = ['page', 'rule', 'category', 'level', 'message', 'fix', 'wcag', 'count', 'selector', 'note', 'snippet'];
+
+/* RFC 4180 field; text starting like a formula is prefixed with ' so spreadsheets do not run it (it comes from scanned pages) */
+function csvField(value){
+  if(typeof value === 'number') return String(value);
+  let s = String(value === undefined || value === null ? '' : value);
+  if(/^[=+\-@\t\r]/.test(s)) s = "'" + s;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/* One row per listed element (one row for findings without elements); starts with a BOM so Excel reads UTF-8 */
+function reportCsv(report){
+  const rows = [CSV_COLUMNS];
+  report.findings.forEach(f => {
+    const base = [f.page, f.rule, f.category, f.level, f.text, f.fix, f.wcag.map(w => w.sc).join(' '), f.count];
+    if(!f.elements.length) rows.push(base.concat(['', '', '']));
+    f.elements.forEach(e => rows.push(base.concat([e.selector, e.note || '', e.snippet])));
+  });
+  return '\uFEFF' + rows.map(r => r.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/* ======= Formats ======= */
+/* key -> {label, file (name in audit/), type (MIME), extensions (for the CLI's --report), render(report)} */
+const REPORT_FORMATS = {
+  json: {label: 'JSON', file: 'report.json', type: 'application/json', extensions: ['.json'], render: report => JSON.stringify(report, null, 2)},
+  html: {label: 'HTML', file: 'report.html', type: 'text/html', extensions: ['.html', '.htm'], render: reportHtml},
+  sarif: {label: 'SARIF', file: 'report.sarif', type: 'application/sarif+json', extensions: ['.sarif', '.sarif.json'], render: reportSarif},
+  junit: {label: 'JUnit XML', file: 'report.junit.xml', type: 'application/xml', extensions: ['.xml'], render: reportJUnit},
+  csv: {label: 'CSV', file: 'report.csv', type: 'text/csv', extensions: ['.csv'], render: reportCsv}
+};
+
+/* Format key for a file name, by its longest matching extension; null when none matches */
+function reportFormatFor(fileName){
+  const name = fileName.toLowerCase();
+  let best = null, length = 0;
+  Object.entries(REPORT_FORMATS).forEach(([key, format]) => format.extensions.forEach(ext => {
+    if(name.endsWith(ext) && ext.length > length){ best = key; length = ext.length; }
+  }));
+  return best;
+}
@@ -0,0 +1,523 @@
+/* rules/a11y.js — accessibility rules for the audit engine (audit.js)
+   - Page language, alt text, labels, accessible names, headings, landmarks
+   - ARIA roles/attributes/id references, duplicate ids, captions, tabindex
+   - Best-effort color contrast computed from the downloaded CSS (meta.stylesheets)
+   Every rule lists the WCAG 2.1 success criteria it checks.
+*/
+
+/* ======= ARIA tables (WAI-ARIA 1.2) ======= */
+const ARIA_ROLES = new Set(('alert alertdialog application article banner blockquote button caption cell checkbox code columnheader ' +
+  'combobox complementary contentinfo definition deletion dialog directory document emphasis feed figure form generic grid ' +
+  'gridcell group heading img insertion link list listbox listitem log main marquee math menu menubar menuitem ' +
+  'menuitemcheckbox menuitemradio meter navigation none note option paragraph presentation progressbar radio radiogroup ' +
+  'region row rowgroup rowheader scrollbar search searchbox separator slider spinbutton status strong subscript superscript ' +
+  'switch tab table tablist tabpanel term textbox time timer toolbar tooltip tree treegrid treeitem').split(' '));
+const ARIA_ATTRS = new Set(('activedescendant atomic autocomplete braillelabel brailleroledescription busy checked colcount ' +
+  'colindex colindextext colspan controls current describedby description details disabled dropeffect errormessage expanded ' +
+  'flowto grabbed haspopup hidden invalid keyshortcuts label labelledby level live modal multiline multiselectable ' +
+  'orientation owns placeholder posinset pressed readonly relevant required roledescription rowcount rowindex rowindextext ' +
+  'rowspan selected setsize sort valuemax valuemin valuenow valuetext').split(' ').map(a => 'aria-' + a));
+/* attribute -> allowed tokens, for the attributes that only take true/false style values */
+const ARIA_TOKENS = {
+  'aria-atomic': ['true', 'false'], 'aria-busy': ['true', 'false'], 'aria-disabled': ['true', 'false'],
+  'aria-modal': ['true', 'false'], 'aria-multiline': ['true', 'false'], 'aria-multiselectable': ['true', 'false'],
+  'aria-readonly': ['true', 'false'], 'aria-required': ['true', 'false'],
+  'aria-hidden': ['true', 'false', 'undefined'], 'aria-expanded': ['true', 'false', 'undefined'],
+  'aria-selected': ['true', 'false', 'undefined'], 'aria-grabbed': ['true', 'false', 'undefined'],
+  'aria-checked': ['true', 'false', 'mixed', 'undefined'], 'aria-pressed': ['true', 'false', 'mixed', 'undefined']
+};
+const ARIA_IDREF_ATTRS = ['aria-labelledby', 'aria-describedby', 'aria-controls', 'aria-owns', 'aria-activedescendant', 'aria-errormessage', 'aria-details', 'aria-flowto'];
+
+/* ======= Accessible names (simplified accname: labelledby, aria-label, content, title) ======= */
+function isHidden(el){
+  return el.hasAttribute('hidden') || el.getAttribute('aria-hidden') === 'true' || /display\s*:\s*none/i.test(el.getAttribute('style') || '');
+}
+
+/* Text an element contributes to a name: its text, alt text of images, <title> or aria-label of icons */
+function nameFromContent(node){
+  let text = '';
+  Array.from(node.childNodes).forEach(child => {
+    if(child.nodeType === 3){ text += child.textContent; return; }
+    if(child.nodeType !== 1 || isHidden(child)) return;
+    const tag = child.tagName.toLowerCase();
+    const label = (child.getAttribute('aria-label') || '').trim();
+    if(label) text += ' ' + label;
+    else if(tag === 'img' || (tag === 'input' && child.getAttribute('type') === 'image')) text += ' ' + (child.getAttribute('alt') || '');
+    else if(tag === 'svg'){
+      const title = child.querySelector('title');
+      text += ' ' + (title ? title.textContent : '');
+    }
+    else if(!['script', 'style', 'template'].includes(tag)) text += ' ' + nameFromContent(child);
+  });
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+function accessibleName(el){
+  const doc = el.ownerDocument;
+  const labelledby = (el.getAttribute('aria-labelledby') || '').trim();
+  if(labelledby){
+    const text = labelledby.split(/\s+/).map(id => doc.getElementById(id)).filter(Boolean).map(n => n.textContent).join(' ').trim();
+    if(text) return text;
+  }
+  const label = (el.getAttribute('aria-label') || '').trim();
+  if(label) return label;
+  const tag = el.tagName.toLowerCase();
+  if(tag === 'input'){
+    const type = (el.getAttribute('type') || 'text').toLowerCase();
+    if(type === 'image') return (el.getAttribute('alt') || '').trim();
+    if(['submit', 'reset'].includes(type)) return (el.getAttribute('value') || type).trim(); // browsers supply "Submit"/"Reset"
+    if(type === 'button') return (el.getAttribute('value') || '').trim();
+  }
+  return nameFromContent(el) || (el.getAttribute('title') || '').trim();
+}
+
+/* Buttons/links whose only content is an icon (svg, img, <i>, icon-font span) */
+function isIconOnly(el){
+  return !el.textContent.trim() && !!el.querySelector('svg, img, i, [class*="icon"], [class*="fa-"]');
+}
+
+/* Controls inside forms without a <label>, aria-label(ledby) or title (the auto-fix in fixes.js labels the same ones) */
+function unlabeledControls(doc){
+  return Array.from(doc.querySelectorAll('form input, form textarea, form select')).filter(c => {
+    // buttons name themselves and hidden inputs are never shown
+    if(/^(hidden|submit|reset|button|image)$/i.test(c.getAttribute('type') || '')) return false;
+    const id = c.id;
+    if(id && doc.querySelector(`label[for="${id}"]`)) return false;
+    if(c.closest('label')) return false;
+    if((c.getAttribute('aria-label') || '').trim() || c.hasAttribute('aria-labelledby') || (c.getAttribute('title') || '').trim()) return false;
+    return true;
+  });
+}
+
+/* ======= Color contrast (best effort) ======= */
+const NAMED_COLORS = {
+  black: '#000000', white: '#ffffff', red: '#ff0000', green: '#008000', blue: '#0000ff', yellow: '#ffff00', orange: '#ffa500',
+  purple: '#800080', gray: '#808080', grey: '#808080', silver: '#c0c0c0', maroon: '#800000', navy: '#000080', teal: '#008080',
+  olive: '#808000', lime: '#00ff00', aqua: '#00ffff', cyan: '#00ffff', fuchsia: '#ff00ff', magenta: '#ff00ff',
+  darkgray: '#a9a9a9', darkgrey: '#a9a9a9', lightgray: '#d3d3d3', lightgrey: '#d3d3d3', dimgray: '#696969', dimgrey: '#696969',
+  gainsboro: '#dcdcdc', whitesmoke: '#f5f5f5', darkblue: '#00008b', darkred: '#8b0000', darkgreen: '#006400', pink: '#ffc0cb',
+  brown: '#a52a2a', gold: '#ffd700', beige: '#f5f5dc', ivory: '#fffff0', tomato: '#ff6347', crimson: '#dc143c'
+};
+const CONTRAST_SKIP_TAGS = ['script', 'style', 'noscript', 'template', 'option', 'title', 'svg', 'math', 'textarea', 'select'];
+const LARGE_TEXT_TAGS = ['h1', 'h2', 'h3']; // default sizes count as large text (>= 18.66px bold)
+
+/* '#abc', 'rgb(1 2 3 / 50%)', 'hsl(...)', 'red', 'transparent' -> [r, g, b, a]; null when it cannot be read */
+function parseColor(value){
+  let v = (value || '').trim().toLowerCase().replace(/\s*!important$/, '');
+  if(v === 'transparent') return [0, 0, 0, 0];
+  if(NAMED_COLORS[v]) v = NAMED_COLORS[v];
+  let m = /^#([0-9a-f]{3,8})$/.exec(v);
+  if(m){
+    let hex = m[1];
+    if(hex.length === 3 || hex.length === 4) hex = hex.split('').map(c => c + c).join('');
+    if(hex.length !== 6 && hex.length !== 8) return null;
+    const n = i => parseInt(hex.slice(i, i + 2), 16);
+    return [n(0), n(2), n(4), hex.length === 8 ? n(6) / 255 : 1];
+  }
+  m = /^(rgba?|hsla?)\(([^)]*)\)$/.exec(v);
+  if(!m) return null;
+  const parts = m[2].split(/[\s,\/]+/).filter(Boolean);
+  if(parts.length < 3) return null;
+  const num = (p, scale) => p.endsWith('%') ? parseFloat(p) / 100 * scale : parseFloat(p);
+  const alpha = parts[3] === undefined ? 1 : num(parts[3], 1);
+  let rgb;
+  if(m[1].startsWith('rgb')){
+    rgb = parts.slice(0, 3).map(p => num(p, 255));
+  }else{
+    const h = parseFloat(parts[0]) / 360, s = num(parts[1], 1), l = num(parts[2], 1);
+    const f = k => { const t = (k + h * 12) % 12; return l - s * Math.min(l, 1 - l) * Math.max(-1, Math.min(t - 3, 9 - t, 1)); };
+    rgb = [f(0) * 255, f(8) * 255, f(4) * 255];
+  }
+  if(rgb.concat(alpha).some(n => isNaN(n))) return null;
+  return rgb.map(n => Math.round(Math.max(0, Math.min(255, n)))).concat(Math.max(0, Math.min(1, alpha)));
+}
+
+/* Paint color `top` (with alpha) over the opaque color `under` */
+function blendColors(top, under){
+  const a = top[3];
+  return [0, 1, 2].map(i => Math.round(top[i] * a + under[i] * (1 - a))).concat(1);
+}
+
+function relativeLuminance(c){
+  const [r, g, b] = c.slice(0, 3).map(v => {
+    v /= 255;
+    return v <= 0.03928 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+function contrastRatio(a, b){
+  const [hi, lo] = [relativeLuminance(a), relativeLuminance(b)].sort((x, y) => y - x);
+  return (hi + 0.05) / (lo + 0.05);
+}
+
+function colorHex(c){
+  return '#' + c.slice(0, 3).map(n => n.toString(16).padStart(2, '0')).join('');
+}
+
+/* Flatten CSS text into style rules: [{selectors, decls: [[prop, value, important]]}] in source order.
+   @media/@supports/@layer blocks are entered (print and dark-scheme blocks are skipped); other at-rules are ignored. */
+function parseCssRules(css){
+  const rules = [];
+  const text = css.replace(/\/\*[\s\S]*?\*\//g, '');
+  const walk = (start, end) => {
+    let i = start;
+    while(i < end){
+      const open = text.indexOf('{', i);
+      if(open < 0 || open >= end) return;
+      // find the matching close brace
+      let depth = 1, j = open + 1;
+      while(j < end && depth){ if(text[j] === '{') depth++; else if(text[j] === '}') depth--; j++; }
+      const prelude = text.slice(i, open).replace(/^[\s;]*(@[a-z-]+[^;{]*;\s*)*/i, '').trim();
+      if(prelude.startsWith('@')){
+        if(/^@(media|supports|layer)\b/i.test(prelude) && !/\bprint\b|prefers-color-scheme\s*:\s*dark/i.test(prelude)) walk(open + 1, j - 1);
+      }else if(prelude){
+        const decls = text.slice(open + 1, j - 1).split(';').map(d => {
+          const colon = d.indexOf(':');
+          if(colon < 0) return null;
+          const value = d.slice(colon + 1).trim();
+          return [d.slice(0, colon).trim().toLowerCase(), value.replace(/\s*!important$/i, ''), /!important$/i.test(value)];
+        }).filter(Boolean);
+        rules.push({selectors: prelude.split(',').map(s => s.trim()).filter(Boolean), decls});
+      }
+      i = j;
+    }
+  };
+  walk(0, text.length);
+  return rules;
+}
+
+/* Rough specificity [ids, classes/attributes/pseudo-classes, types] of one selector */
+function selectorSpecificity(sel){
+  const s = sel.replace(/\([^)]*\)/g, '()');
+  const ids = (s.match(/#[\w-]+/g) || []).length;
+  const classes = (s.match(/\.[\w-]+|\[[^\]]*\]|:(?!:)[\w-]+/g) || []).length;
+  const types = (s.replace(/[#.:][\w-]+|\[[^\]]*\]/g, ' ').match(/(^|[\s>+~])[a-z][\w-]*/gi) || []).length;
+  return ids * 10000 + classes * 100 + types;
+}
+
+/* Bucket for a selector, taken from its rightmost compound: '#id', '.class', 'tag' or '*'.
+   Only entries in an element's own buckets are tried with el.matches(), which keeps big stylesheets fast. */
+function selectorBucket(selector){
+  const last = selector.replace(/\([^)]*\)|\[[^\]]*\]/g, '').trim().split(/[\s>+~]+/).pop() || '';
+  const id = /#([\w-]+)/.exec(last);
+  if(id) return '#' + id[1];
+  const cls = /\.([\w-]+)/.exec(last);
+  if(cls) return '.' + cls[1];
+  const tag = /^[a-z][\w-]*/i.exec(last);
+  return tag ? tag[0].toLowerCase() : '*';
+}
+
+function elementBuckets(el){
+  const keys = ['*', el.tagName.toLowerCase()];
+  const id = el.getAttribute('id');
+  if(id) keys.push('#' + id);
+  (el.getAttribute('class') || '').split(/\s+/).filter(Boolean).forEach(c => keys.push('.' + c));
+  return keys;
+}
+
+/* Declared color/background of elements from a page's stylesheets + style attributes.
+   Only properties that matter for contrast are kept, so matching stays cheap. */
+function createStyleResolver(stylesheets){
+  const vars = {};
+  const buckets = new Map(); // bucket -> [{selector, specificity, order, prop, value, important}]
+  let order = 0;
+  stylesheets.forEach(css => parseCssRules(css).forEach(rule => rule.decls.forEach(([prop, value, important]) => {
+    order++;
+    // custom properties on the root are resolved in var(); scoped ones are not followed
+    if(prop.startsWith('--')){
+      if(rule.selectors.some(s => /^(:root|html|body|\*)$/i.test(s))) vars[prop] = value;
+      return;
+    }
+    if(!['color', 'background-color', 'background'].includes(prop)) return;
+    rule.selectors.forEach(selector => {
+      // states and pseudo-elements never apply to the static document
+      if(/:(hover|focus|active|visited|focus-within|focus-visible|target)\b|::|:(before|after|first-line|first-letter|placeholder|selection)\b/i.test(selector)) return;
+      const key = selectorBucket(selector);
+      if(!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push({selector, specificity: selectorSpecificity(selector), order, prop: prop === 'color' ? 'color' : 'bg', value, important});
+    });
+  })));
+
+  const resolveVars = value => {
+    for(let i = 0; i < 5 && /var\(/.test(value); i++){
+      value = value.replace(/var\(\s*(--[\w-]+)\s*(?:,\s*([^()]*(?:\([^()]*\))?[^()]*))?\)/g, (m, name, fallback) => vars[name] !== undefined ? vars[name] : (fallback || ''));
+    }
+    return value;
+  };
+
+  const cache = new Map();
+  /* {color, bg} raw declared values for one element (undefined when nothing applies) */
+  const declared = el => {
+    if(cache.has(el)) return cache.get(el);
+    const winner = {};
+    const consider = (prop, value, rank) => { if(!winner[prop] || rank >= winner[prop].rank) winner[prop] = {value, rank}; };
+    elementBuckets(el).forEach(key => (buckets.get(key) || []).forEach(e => {
+      let matches = false;
+      try{ matches = el.matches(e.selector); }catch(err){ /* selector the DOM cannot evaluate */ }
+      if(matches) consider(e.prop, e.value, (e.important ? 1e12 : 0) + e.specificity * 1e6 + e.order);
+    }));
+    // style attributes beat selectors, but not !important sheet rules
+    (el.getAttribute('style') || '').split(';').forEach(d => {
+      const colon = d.indexOf(':');
+      if(colon < 0) return;
+      const prop = d.slice(0, colon).trim().toLowerCase();
+      if(['color', 'background-color', 'background'].includes(prop)) consider(prop === 'color' ? 'color' : 'bg', d.slice(colon + 1).trim(), 1e11);
+    });
+    const out = {color: winner.color && resolveVars(winner.color.value), bg: winner.bg && resolveVars(winner.bg.value)};
+    cache.set(el, out);
+    return out;
+  };
+
+  /* Background layer of a declared background value: a color, transparent, or null when it is an image/unknown */
+  const backgroundColor = value => {
+    if(/url\(|gradient\(/i.test(value)) return null;
+    if(/^(none|initial|unset|inherit)$/i.test(value.trim())) return [0, 0, 0, 0];
+    const tokens = value.match(/(#[0-9a-f]+|(?:rgba?|hsla?)\([^)]*\)|[a-z]+)/gi) || [];
+    for(const t of tokens){ const c = parseColor(t); if(c) return c; }
+    return /^[\w\s-]*$/.test(value) ? [0, 0, 0, 0] : null; // keywords like "no-repeat center" carry no color
+  };
+
+  return {
+    /* Effective text color, or null when it cannot be determined */
+    color(el){
+      for(let node = el; node && node.nodeType === 1; node = node.parentElement){
+        const value = declared(node).color;
+        if(value && !/^(inherit|unset)$/i.test(value)) return parseColor(value);
+      }
+      return [0, 0, 0, 1];
+    },
+    /* Effective opaque background behind el, or null when an image or unknown value is in the way */
+    background(el){
+      const layers = [];
+      for(let node = el; node && node.nodeType === 1; node = node.parentElement){
+        const value = declared(node).bg;
+        if(!value) continue;
+        const c = backgroundColor(value);
+        if(!c) return null;
+        if(c[3] === 0) continue;
+        layers.push(c);
+        if(c[3] >= 1) break;
+      }
+      return layers.reverse().reduce((under, top) => blendColors(top, under), [255, 255, 255, 1]);
+    }
+  };
+}
+
+/* Elements that render their own text (a direct, non-blank text node) */
+function textElements(doc){
+  return Array.from(doc.body ? doc.body.querySelectorAll('*') : []).filter(el => {
+    if(CONTRAST_SKIP_TAGS.includes(el.tagName.toLowerCase()) || el.closest('[hidden], svg')) return false;
+    return Array.from(el.childNodes).some(n => n.nodeType === 3 && n.textContent.trim());
+  });
+}
+
+/* ======= Rules ======= */
+registerRule({
+  id: 'a11y/html-lang', severity: 'warn', wcag: ['3.1.1'],
+  description: '<html> declares the page language', fix: 'Add <html lang="en"> or appropriate locale.',
+  check(ctx){
+    if(!ctx.doc.documentElement.getAttribute('lang')) ctx.report('Missing html lang attribute', [ctx.doc.documentElement]);
+  }
+});
+
+registerRule({
+  id: 'a11y/img-alt', severity: 'warn', wcag: ['1.1.1'],
+  description: 'Images have alt text', fix: 'Add alt attributes to images for accessibility.',
+  check(ctx){
+    const imgs = ctx.$$('img');
+    const missing = imgs.filter(i => !(i.getAttribute('alt') || '').trim());
+    if(missing.length) ctx.report(`${missing.length} image(s) missing alt attribute`, missing);
+    else ctx.pass(`All ${imgs.length} images have alt text (or none present).`);
+  }
+});
+
+registerRule({
+  id: 'a11y/form-labels', severity: 'warn', wcag: ['1.3.1', '3.3.2'],
+  description: 'Form controls have a label', fix: 'Label form controls for accessibility.',
+  check(ctx){
+    const unlabeled = unlabeledControls(ctx.doc);
+    const forms = new Set(unlabeled.map(c => c.closest('form'))).size;
+    if(forms) ctx.report(`${forms} form(s) with unlabeled controls`, unlabeled);
+    else ctx.pass('Forms appear labeled (if any).');
+  }
+});
+
+registerRule({
+  id: 'a11y/link-href', severity: 'warn', wcag: ['2.1.1'],
+  description: 'Links have a real href', fix: 'Give links a real destination, or use a <button> for actions.',
+  check(ctx){
+    const bad = ctx.$$('a').filter(a => {
+      const href = (a.getAttribute('href') || '').trim();
+      return !href || href === '#' || href.toLowerCase().startsWith('javascript:');
+    });
+    if(bad.length) ctx.report(`${bad.length} anchor(s) have empty or javascript: href`, bad);
+  }
+});
+
+registerRule({
+  id: 'a11y/button-name', severity: 'warn', wcag: ['4.1.2'],
+  description: 'Buttons have an accessible name', fix: 'Give icon-only buttons an aria-label (or visually hidden text).',
+  check(ctx){
+    const buttons = ctx.$$('button, [role="button"], input[type="button"], input[type="submit"], input[type="reset"], input[type="image"]');
+    const unnamed = buttons.filter(b => !isHidden(b) && !accessibleName(b));
+    const icons = unnamed.filter(isIconOnly).length;
+    if(unnamed.length) ctx.report(`${unnamed.length} button(s) without an accessible name${icons ? ` (${icons} icon-only)` : ''}`,
+      unnamed.map(b => ({element: b, note: isIconOnly(b) ? 'icon-only' : ''})));
+    else if(buttons.length) ctx.pass(`All ${buttons.length} buttons have an accessible name`);
+  }
+});
+
+registerRule({
+  id: 'a11y/link-name', severity: 'warn', wcag: ['2.4.4', '4.1.2'],
+  description: 'Links have an accessible name', fix: 'Add link text, an aria-label, or alt text on the linked image.',
+  check(ctx){
+    const links = ctx.$$('a[href]');
+    const unnamed = links.filter(a => !isHidden(a) && !accessibleName(a));
+    if(unnamed.length) ctx.report(`${unnamed.length} link(s) without an accessible name`,
+      unnamed.map(a => ({element: a, note: isIconOnly(a) ? 'icon-only' : ''})));
+  }
+});
+
+registerRule({
+  id: 'a11y/heading-order', severity: 'warn', wcag: ['1.3.1', '2.4.6'],
+  description: 'Heading levels do not skip (h2 -> h4)', fix: 'Use the next heading level down; style headings with CSS instead of picking levels by size.',
+  check(ctx){
+    const headings = ctx.$$('h1, h2, h3, h4, h5, h6, [role="heading"][aria-level]');
+    const skips = [];
+    let prev = 0;
+    headings.forEach(h => {
+      const level = /^h[1-6]$/i.test(h.tagName) ? parseInt(h.tagName[1], 10) : parseInt(h.getAttribute('aria-level'), 10);
+      if(!level) return;
+      if(prev && level > prev + 1) skips.push({element: h, note: `h${prev} -> h${level}`});
+      prev = level;
+    });
+    if(skips.length) ctx.report(`${skips.length} heading level skip(s)`, skips);
+    else if(headings.length) ctx.pass('Heading levels are in order');
+  }
+});
+
+registerRule({
+  id: 'a11y/landmark-main', severity: 'warn', wcag: ['1.3.1', '2.4.1'],
+  description: 'The page has a <main> landmark', fix: 'Wrap the primary content in <main> so screen reader users can jump to it.',
+  check(ctx){
+    if(!ctx.doc.querySelector('main, [role="main"]')) ctx.report('No <main> landmark');
+  }
+});
+
+registerRule({
+  id: 'a11y/landmark-nav', severity: 'info', wcag: ['1.3.1', '2.4.1'], options: {minLinks: 5},
+  description: 'Pages with several links mark up navigation with <nav>', fix: 'Wrap the site navigation in <nav> (with an aria-label when there are several).',
+  check(ctx){
+    if(ctx.$$('a[href]').length >= ctx.options.minLinks && !ctx.doc.querySelector('nav, [role="navigation"]')) ctx.report('No <nav> landmark');
+  }
+});
+
+registerRule({
+  id: 'a11y/aria-role', severity: 'warn', wcag: ['4.1.2'],
+  description: 'role attributes use valid ARIA roles', fix: 'Use a role from WAI-ARIA 1.2 (check for typos) or remove the attribute.',
+  check(ctx){
+    const bad = ctx.$$('[role]').filter(el => {
+      const tokens = (el.getAttribute('role') || '').trim().toLowerCase().split(/\s+/).filter(Boolean);
+      // the first supported token wins, so fallback lists are fine as long as one is valid
+      return !tokens.some(t => ARIA_ROLES.has(t) || /^(doc|graphics)-[a-z]+$/.test(t));
+    });
+    if(bad.length) ctx.report(`${bad.length} element(s) with an invalid ARIA role`, bad.map(el => ({element: el, note: `role="${el.getAttribute('role')}"`})));
+  }
+});
+
+registerRule({
+  id: 'a11y/aria-attr', severity: 'warn', wcag: ['4.1.2'],
+  description: 'aria-* attributes exist and have valid values', fix: 'Fix misspelled aria-* attributes and use true/false (or mixed) where required.',
+  check(ctx){
+    const bad = [];
+    ctx.$$('*').forEach(el => {
+      Array.from(el.attributes).forEach(attr => {
+        const name = attr.name.toLowerCase();
+        if(!name.startsWith('aria-')) return;
+        if(!ARIA_ATTRS.has(name)) bad.push({element: el, note: `unknown attribute ${name}`});
+        else if(ARIA_TOKENS[name] && !ARIA_TOKENS[name].includes(attr.value.trim().toLowerCase())) bad.push({element: el, note: `${name}="${attr.value}"`});
+      });
+    });
+    if(bad.length) ctx.report(`${bad.length} invalid aria-* attribute(s)`, bad);
+  }
+});
+
+registerRule({
+  id: 'a11y/aria-idrefs', severity: 'warn', wcag: ['1.3.1', '4.1.2'],
+  description: 'aria-labelledby/-describedby/-controls point at existing ids', fix: 'Point ARIA references at ids that exist on the page.',
+  check(ctx){
+    const bad = [];
+    ctx.$$(ARIA_IDREF_ATTRS.map(a => `[${a}]`).join(', ')).forEach(el => {
+      ARIA_IDREF_ATTRS.forEach(attr => {
+        const missing = (el.getAttribute(attr) || '').trim().split(/\s+/).filter(id => id && !ctx.doc.getElementById(id));
+        if(missing.length) bad.push({element: el, note: `${attr} -> missing #${missing.join(', #')}`});
+      });
+    });
+    if(bad.length) ctx.report(`${bad.length} ARIA reference(s) to missing ids`, bad);
+  }
+});
+
+registerRule({
+  id: 'a11y/duplicate-id', severity: 'warn', wcag: ['4.1.1'],
+  description: 'id values are unique', fix: 'Give every element a unique id; labels and ARIA references only reach the first one.',
+  check(ctx){
+    const byId = new Map();
+    ctx.$$('[id]').forEach(el => {
+      const id = el.getAttribute('id');
+      if(!id) return;
+      if(!byId.has(id)) byId.set(id, []);
+      byId.get(id).push(el);
+    });
+    const dupes = Array.from(byId.entries()).filter(([, els]) => els.length > 1);
+    if(dupes.length) ctx.report(`${dupes.length} duplicate id(s)`,
+      dupes.flatMap(([id, els]) => els.slice(1).map(el => ({element: el, note: `id="${id}" used ${els.length} times`}))));
+  }
+});
+
+registerRule({
+  id: 'a11y/video-captions', severity: 'warn', wcag: ['1.2.2'],
+  description: 'Videos with sound have a captions track (muted videos without controls count as decorative)', fix: 'Add <track kind="captions" src="....vtt" srclang="en">.',
+  check(ctx){
+    const videos = ctx.$$('video').filter(v => !(v.hasAttribute('muted') && !v.hasAttribute('controls')));
+    const missing = videos.filter(v => !v.querySelector('track[kind="captions"], track[kind="subtitles"]'));
+    if(missing.length) ctx.report(`${missing.length} video(s) without captions`, missing);
+  }
+});
+
+registerRule({
+  id: 'a11y/tabindex', severity: 'warn', wcag: ['2.4.3'],
+  description: 'No tabindex greater than 0', fix: 'Use tabindex="0" (or -1) and put elements in the right order in the HTML instead.',
+  check(ctx){
+    const bad = ctx.$$('[tabindex]').filter(el => parseInt(el.getAttribute('tabindex'), 10) > 0);
+    if(bad.length) ctx.report(`${bad.length} element(s) with tabindex > 0`, bad.map(el => ({element: el, note: `tabindex="${el.getAttribute('tabindex')}"`})));
+  }
+});
+
+registerRule({
+  id: 'a11y/color-contrast', severity: 'warn', wcag: ['1.4.3'], options: {maxElements: 400},
+  description: 'Text contrast reaches 4.5:1 (3:1 for large text); best effort from the downloaded CSS',
+  fix: 'Darken the text or lighten the background (4.5:1 for body text, 3:1 for large text).',
+  check(ctx){
+    const styles = createStyleResolver(ctx.meta.stylesheets || []);
+    const candidates = textElements(ctx.doc).slice(0, ctx.options.maxElements);
+    const failing = [];
+    let checked = 0;
+    candidates.forEach(el => {
+      const bg = styles.background(el);
+      const fg = bg && styles.color(el);
+      if(!fg) return; // background image, CSS variables we cannot resolve, currentColor...
+      checked++;
+      const ratio = contrastRatio(blendColors(fg, bg), bg);
+      const min = LARGE_TEXT_TAGS.includes(el.tagName.toLowerCase()) || el.closest(LARGE_TEXT_TAGS.join(',')) ? 3 : 4.5;
+      if(ratio < min) failing.push({element: el, note: `${ratio.toFixed(2)}:1, ${colorHex(blendColors(fg, bg))} on ${colorHex(bg)} (needs ${min}:1)`, ratio});
+    });
+    const skipped = candidates.length - checked;
+    if(failing.length){
+      failing.sort((a, b) => a.ratio - b.ratio);
+      ctx.report(`${failing.length} text element(s) below the contrast minimum`, failing, {checked, skipped});
+    }else if(checked){
+      ctx.pass(`Contrast OK for ${checked} text element(s)${skipped ? ` (${skipped} could not be checked)` : ''}`);
+    }
+  }
+});
@@ -0,0 +1,64 @@
+/* rules/links.js — link and asset checks for the audit engine (audit.js)
+   - Broken and redirected <a href> targets from the link check (meta.links, built by processSite)
+   - Assets that could not be downloaded, with the reason (meta.failedAssets)
+   Redirect hops are known with the local fetcher and the CLI; in the browser only the final URL is, and CORS proxies hide redirects.
+*/
+
+/* ======= Helpers ======= */
+/* Link results grouped by URL: [{url, result, elements}] */
+function linksByUrl(links){
+  const byUrl = new Map();
+  links.forEach(l => {
+    if(!byUrl.has(l.url)) byUrl.set(l.url, {url: l.url, result: l.result, elements: []});
+    byUrl.get(l.url).elements.push(l.element);
+  });
+  return Array.from(byUrl.values());
+}
+
+/* "http://a/ (301) -> https://a/ (302) -> https://a/home"; without known hops just "url -> final" */
+function redirectChain(url, result){
+  const hops = result.redirects.length ? result.redirects.map(r => `${r.url} (${r.status})`) : [url];
+  return hops.concat(result.finalUrl).join(' -> ');
+}
+
+/* ======= Rules ======= */
+registerRule({
+  id: 'links/broken', severity: 'warn',
+  description: 'Links lead to pages that load (checked by requesting every link)', fix: 'Fix or remove links that return errors, or redirect the old URLs.',
+  check(ctx){
+    if(!ctx.meta.links) return;
+    const groups = linksByUrl(ctx.meta.links);
+    const broken = groups.filter(g => !g.result.ok);
+    broken.forEach(g => ctx.report(`Broken link (${g.result.error || 'HTTP ' + g.result.status}): ${g.url}`, g.elements,
+      {url: g.url, status: g.result.status, error: g.result.error}));
+    if(groups.length && !broken.length) ctx.pass(`${groups.length} linked URL(s) checked, none broken`);
+  }
+});
+
+registerRule({
+  id: 'links/redirect', severity: 'info',
+  description: 'Links point at final URLs, not at redirects', fix: 'Update links to the final URL to save a round trip per click.',
+  check(ctx){
+    if(!ctx.meta.links) return;
+    linksByUrl(ctx.meta.links)
+      .filter(g => g.result.ok && (g.result.redirects.length || g.result.finalUrl !== g.url))
+      .forEach(g => ctx.report(`Redirected link: ${redirectChain(g.url, g.result)}`, g.elements,
+        {url: g.url, finalUrl: g.result.finalUrl, redirects: g.result.redirects}));
+  }
+});
+
+registerRule({
+  id: 'links/failed-asset', severity: 'warn',
+  description: 'Every referenced asset could be downloaded', fix: 'Fix the missing files on the site; in the project these references still point at the live URL.',
+  check(ctx){
+    const failed = ctx.meta.failedAssets || [];
+    if(!failed.length) return;
+    const elements = new Map();
+    (ctx.meta.assetUrls || new Map()).forEach((url, el) => {
+      if(!elements.has(url)) elements.set(url, []);
+      elements.get(url).push(el);
+    });
+    failed.forEach(a => ctx.report(`Asset not downloaded (${a.error || 'unknown error'}): ${a.url}`, elements.get(a.url),
+      {url: a.url, kind: a.kind, status: a.status, error: a.error}));
+  }
+});
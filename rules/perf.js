@@ -0,0 +1,226 @@
+/* rules/perf.js — performance rules for the audit engine (audit.js)
+   - Page weight from the bytes actually downloaded (meta.weight, built by processSite) against per-type budgets
+   - Render-blocking scripts, images without dimensions, oversized images, legacy image formats
+   - Unminified CSS/JS (meta.sources), @font-face without font-display, inline code and asset counts
+   Sizes are the uncompressed bytes the fetcher received; gzip/brotli transfer sizes are smaller.
+*/
+
+/* ======= Helpers ======= */
+const LEGACY_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/bmp'];
+
+/* Size an element is drawn at, from its width/height attributes or inline px styles; null when unknown */
+function declaredSize(el){
+  const style = el.getAttribute('style') || '';
+  const px = (attr, prop) => {
+    const m = new RegExp(`(?:^|;)\\s*${prop}\\s*:\\s*(\\d+(?:\\.\\d+)?)px`, 'i').exec(style);
+    if(m) return parseFloat(m[1]);
+    const value = (el.getAttribute(attr) || '').trim();
+    return /^\d+(\.\d+)?$/.test(value) ? parseFloat(value) : null;
+  };
+  const width = px('width', 'width'), height = px('height', 'height');
+  return width || height ? {width, height} : null;
+}
+
+/* Rough check: minified code has few, long lines without indentation */
+function looksUnminified(text){
+  const lines = text.split('\n');
+  const indented = lines.filter(l => /^[ \t]{2,}\S/.test(l)).length;
+  return lines.length > 20 && text.length / lines.length < 200 && indented / lines.length > 0.1;
+}
+
+/* Bytes left after dropping block comments, indentation and blank lines (what a minifier saves at least) */
+function minifiedEstimate(text){
+  return text.replace(/\/\*[\s\S]*?\*\//g, '').replace(/^[ \t]+/gm, '').replace(/\n{2,}/g, '\n').length;
+}
+
+/* ======= Rules ======= */
+registerRule({
+  id: 'perf/page-weight', severity: 'warn',
+  options: {total: 2500000, html: 100000, css: 150000, js: 500000, images: 1500000, fonts: 300000, media: 0},
+  description: 'Downloaded bytes stay within the page budgets (options in bytes per type, 0 = no budget)',
+  fix: 'Compress and resize images, drop unused CSS/JS and fonts, and lazy-load what is below the fold.',
+  check(ctx){
+    const weight = ctx.meta.weight;
+    if(!weight) return;
+    let over = 0;
+    const check = (label, bytes, budget) => {
+      if(!budget || bytes <= budget) return;
+      over++;
+      ctx.report(`${label} weight ${formatBytes(bytes)} is over the ${formatBytes(budget)} budget`, null, {bytes, budget});
+    };
+    check('Page', weight.total, ctx.options.total);
+    Object.entries(WEIGHT_TYPES).forEach(([type, label]) => check(label, weight.types[type], ctx.options[type]));
+    if(!over) ctx.pass(`Page weight ${formatBytes(weight.total)} is within budget`);
+  }
+});
+
+registerRule({
+  id: 'perf/largest-assets', severity: 'info', options: {count: 5, minBytes: 100000},
+  description: 'Lists the largest downloaded files (over minBytes)', fix: 'Start optimising with the biggest files.',
+  check(ctx){
+    const weight = ctx.meta.weight;
+    if(!weight) return;
+    const large = weight.assets.filter(a => a.size >= ctx.options.minBytes).slice(0, ctx.options.count);
+    if(large.length) ctx.report(`Largest assets: ${assetList(large, a => formatBytes(a.size))}`, null, {assets: large});
+  }
+});
+
+registerRule({
+  id: 'perf/render-blocking-script', severity: 'warn',
+  description: 'Scripts in <head> do not block rendering (defer, async or type="module")', fix: 'Add defer (or async for independent scripts) to scripts in <head>, or move them to the end of <body>.',
+  check(ctx){
+    const sizes = new Map((ctx.meta.weight ? ctx.meta.weight.assets : []).map(a => [a.url, a.size]));
+    const blocking = ctx.$$('head script[src]').filter(s => {
+      if(ctx.meta.extracted && ctx.meta.extracted.has(s)) return false; // inline on the live site
+      const type = (s.getAttribute('type') || '').trim().toLowerCase();
+      if(type && !/^(text|application)\/(java|ecma)script$/.test(type)) return false; // modules defer, data blocks do not run
+      return !s.hasAttribute('defer') && !s.hasAttribute('async');
+    });
+    if(blocking.length){
+      const items = blocking.map(el => {
+        const size = sizes.get(ctx.meta.assetUrls && ctx.meta.assetUrls.get(el));
+        return size ? {element: el, note: formatBytes(size)} : el;
+      });
+      ctx.report(`${blocking.length} render-blocking script(s) in <head>`, items);
+    }
+  }
+});
+
+registerRule({
+  id: 'perf/image-dimensions', severity: 'warn',
+  description: 'Images declare width and height', fix: 'Set width and height attributes (the aspect ratio) so the layout does not shift while images load.',
+  check(ctx){
+    const missing = ctx.$$('img').filter(img => {
+      const size = declaredSize(img) || {};
+      return !size.width || !size.height;
+    });
+    if(missing.length) ctx.report(`${missing.length} image(s) without width/height`, missing);
+  }
+});
+
+registerRule({
+  id: 'perf/oversized-image', severity: 'warn', options: {ratio: 2, minWastedBytes: 20000},
+  description: 'Images are not much larger than the size they are shown at', fix: 'Resize images to their displayed size (2x for high-DPI screens at most) or serve them with srcset/sizes.',
+  check(ctx){
+    const weight = ctx.meta.weight;
+    if(!weight || !ctx.meta.assetUrls) return;
+    const byUrl = new Map(weight.assets.map(a => [a.url, a]));
+    const items = [];
+    let wasted = 0;
+    ctx.$$('img').forEach(img => {
+      // srcset lets the browser pick a smaller candidate, so the src alone says little
+      if(img.hasAttribute('srcset') || img.closest('picture')) return;
+      const asset = byUrl.get(ctx.meta.assetUrls.get(img));
+      const shown = declaredSize(img);
+      if(!asset || !asset.width || !shown) return;
+      const scale = shown.width ? asset.width / shown.width : asset.height / shown.height;
+      if(scale <= ctx.options.ratio) return;
+      // bytes above the allowed ratio, assuming size grows with the pixel count
+      const waste = Math.round(asset.size * (1 - Math.pow(ctx.options.ratio / scale, 2)));
+      if(waste < ctx.options.minWastedBytes) return;
+      wasted += waste;
+      const drawn = shown.width && shown.height ? `${shown.width}×${shown.height}` : (shown.width ? `${shown.width}px wide` : `${shown.height}px high`);
+      items.push({element: img, note: `${asset.width}×${asset.height} shown at ${drawn}, ~${formatBytes(waste)} wasted`});
+    });
+    if(items.length) ctx.report(`${items.length} oversized image(s), ~${formatBytes(wasted)} could be saved`, items, {wastedBytes: wasted});
+  }
+});
+
+registerRule({
+  id: 'perf/image-format', severity: 'info', options: {minBytes: 50000},
+  description: 'Large images use a modern format (WebP/AVIF)', fix: 'Serve large JPEG/PNG/GIF images as WebP or AVIF (e.g. with <picture> and a fallback).',
+  check(ctx){
+    const weight = ctx.meta.weight;
+    if(!weight) return;
+    // images already offered in a modern format through <picture><source type> are fine
+    const modern = new Set();
+    ctx.$$('picture').forEach(pic => {
+      if(!pic.querySelector('source[type="image/webp"], source[type="image/avif"]')) return;
+      const img = pic.querySelector('img');
+      if(img && ctx.meta.assetUrls) modern.add(ctx.meta.assetUrls.get(img));
+    });
+    const legacy = weight.assets.filter(a => a.kind === 'images' && LEGACY_IMAGE_TYPES.includes(a.type) && a.size >= ctx.options.minBytes && !modern.has(a.url));
+    if(!legacy.length) return;
+    const total = legacy.reduce((n, a) => n + a.size, 0);
+    ctx.report(`${legacy.length} large image(s) in legacy formats (${formatBytes(total)}): ${assetList(legacy, a => `${a.type.split('/')[1]}, ${formatBytes(a.size)}`)}`,
+      null, {assets: legacy.map(a => ({url: a.url, path: a.path, type: a.type, size: a.size}))});
+  }
+});
+
+registerRule({
+  id: 'perf/unminified', severity: 'warn', options: {minBytes: 2048},
+  description: 'Downloaded CSS and JS files are minified', fix: 'Minify CSS and JavaScript in the build (e.g. esbuild, Terser, cssnano).',
+  check(ctx){
+    const weight = ctx.meta.weight;
+    if(!weight || !ctx.meta.sources) return;
+    const files = weight.assets.filter(a => (a.kind === 'css' || a.kind === 'js') && a.size >= ctx.options.minBytes)
+      .map(a => ({asset: a, text: ctx.meta.sources.get(a.url)}))
+      .filter(f => f.text && looksUnminified(f.text))
+      .map(f => Object.assign({}, f.asset, {savings: Math.max(0, f.text.length - minifiedEstimate(f.text))}));
+    if(!files.length) return;
+    const savings = files.reduce((n, f) => n + f.savings, 0);
+    ctx.report(`${files.length} unminified file(s), at least ~${formatBytes(savings)} to save: ${assetList(files, f => formatBytes(f.size))}`,
+      null, {files: files.map(f => ({url: f.url, path: f.path, size: f.size, savings: f.savings}))});
+  }
+});
+
+registerRule({
+  id: 'perf/font-display', severity: 'warn',
+  description: '@font-face rules set font-display', fix: 'Add font-display: swap (or optional) so text shows while web fonts load.',
+  check(ctx){
+    const families = [];
+    let count = 0;
+    (ctx.meta.stylesheets || []).forEach(css => {
+      (css.match(/@font-face\s*\{[^}]*\}/gi) || []).forEach(block => {
+        if(/font-display\s*:/i.test(block)) return;
+        count++;
+        const family = /font-family\s*:\s*(['"]?)([^;'"}]+)\1/i.exec(block);
+        if(family && !families.includes(family[2].trim())) families.push(family[2].trim());
+      });
+    });
+    if(count) ctx.report(`${count} @font-face rule(s) without font-display${families.length ? ` (${families.join(', ')})` : ''}`);
+  }
+});
+
+registerRule({
+  id: 'perf/inline-styles', severity: 'info',
+  description: 'Inline <style> blocks (moved to css/ in the project)', fix: 'Move styles into a cached stylesheet.',
+  check(ctx){
+    if(ctx.meta.inlineCssBlocks > 0) ctx.report(`${ctx.meta.inlineCssBlocks} inline <style> block(s)`);
+  }
+});
+
+registerRule({
+  id: 'perf/inline-scripts', severity: 'info',
+  description: 'Inline <script> blocks (moved to js/ in the project)', fix: 'Move scripts into cached files.',
+  check(ctx){
+    if(ctx.meta.inlineJsBlocks > 0) ctx.report(`${ctx.meta.inlineJsBlocks} inline <script> block(s)`);
+  }
+});
+
+registerRule({
+  id: 'perf/asset-count', severity: 'warn', options: {max: 40},
+  description: 'The page loads a moderate number of external assets', fix: 'Consider bundling, lazy-loading, or using CDNs for large counts of assets.',
+  check(ctx){
+    const m = ctx.meta;
+    const total = m.cssFiles.length + m.jsFiles.length + m.images.length + m.fonts.length + (m.media || []).length;
+    if(total > ctx.options.max) ctx.report(`${total} external assets detected`, null, {total});
+    else ctx.pass(`${total} external assets detected`);
+  }
+});
+
+registerRule({
+  id: 'perf/inline-css-size', severity: 'warn', options: {maxBytes: 20000},
+  description: 'Inline CSS stays small', fix: 'Keep only critical CSS inline and load the rest from a stylesheet.',
+  check(ctx){
+    if(ctx.meta.inlineCssSize > ctx.options.maxBytes) ctx.report(`Large inline CSS (>${formatBytes(ctx.options.maxBytes)})`);
+  }
+});
+
+registerRule({
+  id: 'perf/inline-js-size', severity: 'warn', options: {maxBytes: 50000},
+  description: 'Inline JS stays small', fix: 'Move large inline scripts into cached, deferred files.',
+  check(ctx){
+    if(ctx.meta.inlineJsSize > ctx.options.maxBytes) ctx.report(`Large inline JS (>${formatBytes(ctx.options.maxBytes)})`);
+  }
+});
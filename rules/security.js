@@ -0,0 +1,176 @@
+/* rules/security.js — security and hygiene rules for the audit engine (audit.js)
+   - Mixed content, third-party scripts/stylesheets without Subresource Integrity, the third-party origins a page loads from
+   - target="_blank" without noopener, inline event handlers, insecure or cross-origin forms, password fields over http
+   - CSP, HSTS, X-Content-Type-Options and Referrer-Policy headers (only when the backend exposes the site's own headers:
+     the local fetcher or the CLI, see response.upstreamHeaders in core.js)
+*/
+
+/* ======= Page resources ======= */
+const RESOURCE_KINDS = {jsFiles: 'script', cssFiles: 'stylesheet', images: 'image', fonts: 'font', media: 'media file'};
+const HSTS_MIN_AGE = 15552000; // 180 days, the usual minimum for HSTS preload lists and scanners
+
+function originOf(url){
+  try{ return new URL(url).origin; }catch(e){ return null; }
+}
+
+/* Every http(s) subresource of the page: [{url, kind, elements}]. Downloaded assets come from the meta lists
+   (their elements from meta.assetUrls); frames, embeds and objects are not downloaded and are read from the DOM. */
+function pageResources(ctx){
+  const page = ctx.response.finalUrl || ctx.url;
+  const byUrl = new Map();
+  const add = (url, kind) => {
+    if(/^https?:/i.test(url) && !byUrl.has(url)) byUrl.set(url, {url, kind, elements: []});
+    return byUrl.get(url);
+  };
+  Object.entries(RESOURCE_KINDS).forEach(([key, kind]) => (ctx.meta[key] || []).forEach(a => add(a.url, kind)));
+  (ctx.meta.assetUrls || new Map()).forEach((url, el) => { if(byUrl.has(url)) byUrl.get(url).elements.push(el); });
+  ctx.$$('iframe[src], frame[src], embed[src], object[data]').forEach(el => {
+    const tag = el.tagName.toLowerCase();
+    const resource = add(resolveUrl(page, el.getAttribute(tag === 'object' ? 'data' : 'src')), tag === 'iframe' || tag === 'frame' ? 'frame' : 'embed');
+    if(resource) resource.elements.push(el);
+  });
+  return Array.from(byUrl.values());
+}
+
+/* Original URL behind a (possibly rewritten) src/href */
+function originalUrl(ctx, el, attr){
+  return (ctx.meta.assetUrls && ctx.meta.assetUrls.get(el)) || resolveUrl(ctx.response.finalUrl || ctx.url, el.getAttribute(attr) || '');
+}
+
+/* Where a form submits: its action resolved against the page (no action submits to the page itself) */
+function formTarget(ctx, form){
+  const page = ctx.response.finalUrl || ctx.url;
+  const action = (form.getAttribute('action') || '').trim();
+  return action ? resolveUrl(page, action) : page;
+}
+
+/* ======= Rules ======= */
+registerRule({
+  id: 'security/mixed-content', severity: 'warn',
+  description: 'An https page loads nothing over http', fix: 'Load every resource over https (browsers block http scripts, styles and frames on https pages).',
+  check(ctx){
+    if(!/^https:/i.test(ctx.response.finalUrl || ctx.url)) return;
+    const insecure = pageResources(ctx).filter(r => /^http:/i.test(r.url));
+    if(!insecure.length) return;
+    ctx.report(`${insecure.length} resource(s) loaded over http: ${assetList(insecure, r => r.kind)}`,
+      insecure.flatMap(r => r.elements.map(el => ({element: el, note: r.url}))), {resources: insecure.map(r => ({url: r.url, kind: r.kind}))});
+  }
+});
+
+registerRule({
+  id: 'security/sri', severity: 'warn',
+  description: 'Third-party scripts and stylesheets use Subresource Integrity', fix: 'Add integrity="sha384-..." and crossorigin="anonymous" to scripts and stylesheets served from other origins.',
+  check(ctx){
+    const origin = originOf(ctx.response.finalUrl || ctx.url);
+    const missing = ctx.$$('script[src], link[rel~="stylesheet"][href]').filter(el => {
+      const url = originalUrl(ctx, el, el.tagName.toLowerCase() === 'script' ? 'src' : 'href');
+      return /^https?:/i.test(url) && originOf(url) !== origin && !el.getAttribute('integrity');
+    }).map(el => ({element: el, note: originalUrl(ctx, el, el.tagName.toLowerCase() === 'script' ? 'src' : 'href')}));
+    if(missing.length) ctx.report(`${missing.length} third-party script(s)/stylesheet(s) without integrity`, missing);
+  }
+});
+
+registerRule({
+  id: 'security/target-blank', severity: 'warn',
+  description: 'Links opening a new tab use rel="noopener"', fix: 'Add rel="noopener" (or noreferrer) to target="_blank" links so the new page cannot reach window.opener.',
+  check(ctx){
+    const links = ctx.$$('a[target][href], area[target][href]').filter(a =>
+      a.getAttribute('target').trim().toLowerCase() === '_blank' && !/\bno(opener|referrer)\b/i.test(a.getAttribute('rel') || ''));
+    if(links.length) ctx.report(`${links.length} target="_blank" link(s) without rel="noopener"`, links);
+  }
+});
+
+registerRule({
+  id: 'security/inline-handlers', severity: 'info',
+  description: 'No inline event handler attributes (onclick=...)', fix: 'Attach handlers with addEventListener so a strict Content-Security-Policy can forbid inline script.',
+  check(ctx){
+    const items = [];
+    ctx.$$('*').forEach(el => {
+      const handlers = Array.from(el.attributes).map(a => a.name.toLowerCase()).filter(name => /^on[a-z]+$/.test(name));
+      if(handlers.length) items.push({element: el, note: handlers.join(', ')});
+    });
+    if(items.length) ctx.report(`${items.length} element(s) with inline event handlers`, items);
+  }
+});
+
+registerRule({
+  id: 'security/insecure-form', severity: 'warn',
+  description: 'Forms submit over https', fix: 'Serve the page and the form action over https.',
+  check(ctx){
+    const forms = ctx.$$('form').map(form => ({element: form, note: formTarget(ctx, form)})).filter(f => /^http:/i.test(f.note));
+    if(forms.length) ctx.report(`${forms.length} form(s) submit over http`, forms);
+  }
+});
+
+registerRule({
+  id: 'security/cross-origin-form', severity: 'info',
+  description: 'Forms submit to the page\'s own origin', fix: 'Check that forms posting to another site (newsletter, payment, search) are expected.',
+  check(ctx){
+    const origin = originOf(ctx.response.finalUrl || ctx.url);
+    const forms = ctx.$$('form').map(form => ({element: form, note: formTarget(ctx, form)}))
+      .filter(f => /^https?:/i.test(f.note) && originOf(f.note) !== origin);
+    if(forms.length) ctx.report(`${forms.length} form(s) submit to another origin`, forms);
+  }
+});
+
+registerRule({
+  id: 'security/insecure-password', severity: 'warn',
+  description: 'Password fields are only on https pages and in forms that post over https', fix: 'Serve login pages over https and post credentials to an https action.',
+  check(ctx){
+    const pageInsecure = /^http:/i.test(ctx.response.finalUrl || ctx.url);
+    const fields = ctx.$$('input[type]').filter(input => input.getAttribute('type').trim().toLowerCase() === 'password').filter(input => {
+      const form = input.closest('form');
+      return pageInsecure || (form && /^http:/i.test(formTarget(ctx, form)));
+    });
+    if(fields.length) ctx.report(`${fields.length} password field(s) ${pageInsecure ? 'on an http page' : 'posting over http'}`, fields);
+  }
+});
+
+registerRule({
+  id: 'security/headers', severity: 'warn', options: {hstsMinAge: HSTS_MIN_AGE},
+  description: 'Security headers are set (CSP, HSTS, X-Content-Type-Options, Referrer-Policy)', fix: 'Send Content-Security-Policy, Strict-Transport-Security, X-Content-Type-Options: nosniff and a Referrer-Policy.',
+  check(ctx){
+    if(!ctx.response.upstreamHeaders) return; // proxies and browsers hide the site's headers
+    const h = ctx.response.headers || {};
+    const metaEquiv = name => ctx.$$('meta[http-equiv]').some(m => m.getAttribute('http-equiv').trim().toLowerCase() === name);
+    let problems = 0;
+    const report = text => { problems++; ctx.report(text); };
+
+    if(!h['content-security-policy'] && !metaEquiv('content-security-policy')){
+      report(h['content-security-policy-report-only'] ? 'Content-Security-Policy is report-only (nothing is enforced)' : 'No Content-Security-Policy');
+    }
+    if(/^https:/i.test(ctx.response.finalUrl || ctx.url)){
+      const hsts = h['strict-transport-security'];
+      const age = hsts ? parseInt((/max-age\s*=\s*"?(\d+)/i.exec(hsts) || [])[1], 10) : NaN;
+      if(!hsts) report('No Strict-Transport-Security (HSTS)');
+      else if(!(age >= ctx.options.hstsMinAge)) report(`Strict-Transport-Security max-age is short (${isNaN(age) ? 'missing' : age + 's'}, use at least ${ctx.options.hstsMinAge}s)`);
+    }
+    if((h['x-content-type-options'] || '').trim().toLowerCase() !== 'nosniff') report('X-Content-Type-Options: nosniff is not set');
+    const referrer = h['referrer-policy'] || (ctx.doc.querySelector('meta[name="referrer"]') || {getAttribute: () => ''}).getAttribute('content');
+    if(!referrer) report('No Referrer-Policy');
+    else if(/unsafe-url/i.test(referrer)) report('Referrer-Policy unsafe-url sends full URLs to other sites');
+    if(!problems) ctx.pass('Security headers present');
+  }
+});
+
+registerRule({
+  id: 'security/third-party', severity: 'info',
+  description: 'Lists the third-party origins the page loads from, and what each one loads', fix: 'Review third-party origins: each one can track visitors and, for scripts, run code on the page.',
+  check(ctx){
+    const origin = originOf(ctx.response.finalUrl || ctx.url);
+    const byOrigin = new Map();
+    pageResources(ctx).forEach(r => {
+      const o = originOf(r.url);
+      if(!o || o === origin) return;
+      if(!byOrigin.has(o)) byOrigin.set(o, []);
+      byOrigin.get(o).push(r);
+    });
+    if(!byOrigin.size){ ctx.pass('No third-party resources'); return; }
+    byOrigin.forEach((resources, o) => {
+      const kinds = {};
+      resources.forEach(r => { (kinds[r.kind] = kinds[r.kind] || []).push(r.url); });
+      const loads = Object.entries(kinds).map(([kind, urls]) => `${urls.length} ${kind}${urls.length === 1 ? '' : 's'}`).join(', ');
+      ctx.report(`${new URL(o).host} loads ${loads}`, resources.flatMap(r => r.elements), {origin: o, resources: kinds});
+    });
+  }
+});
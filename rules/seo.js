@@ -0,0 +1,279 @@
+/* rules/seo.js — SEO rules for the audit engine (audit.js)
+   - Title/description presence and length, H1
+   - Canonical link, robots meta + X-Robots-Tag, robots.txt and sitemap.xml (meta.seo, fetched by processSite)
+   - Open Graph / Twitter cards, hreflang alternates, JSON-LD structured data
+*/
+
+/* ======= Structured data ======= */
+/* schema.org types -> properties Google needs for rich results ('a|b' means either one) */
+const JSONLD_REQUIRED = {
+  Article: ['headline', 'image', 'datePublished', 'author'],
+  NewsArticle: ['headline', 'image', 'datePublished', 'author'],
+  BlogPosting: ['headline', 'image', 'datePublished', 'author'],
+  Product: ['name', 'offers|review|aggregateRating'],
+  Offer: ['price|priceSpecification', 'priceCurrency|priceSpecification'],
+  Organization: ['name', 'url'],
+  LocalBusiness: ['name', 'address'],
+  Person: ['name'],
+  WebSite: ['name', 'url'],
+  WebPage: ['name'],
+  BreadcrumbList: ['itemListElement'],
+  Event: ['name', 'startDate', 'location'],
+  Recipe: ['name', 'image'],
+  FAQPage: ['mainEntity'],
+  HowTo: ['name', 'step'],
+  VideoObject: ['name', 'thumbnailUrl', 'uploadDate'],
+  JobPosting: ['title', 'description', 'datePosted', 'hiringOrganization'],
+  Review: ['itemReviewed', 'author'],
+  SoftwareApplication: ['name', 'offers|aggregateRating|review']
+};
+
+/* Top-level items of a JSON-LD block (arrays and @graph are flattened) */
+function jsonLdItems(data){
+  if(Array.isArray(data)) return data.flatMap(jsonLdItems);
+  if(data && typeof data === 'object' && Array.isArray(data['@graph'])){
+    return data['@graph'].map(item => Object.assign({'@context': data['@context']}, item));
+  }
+  return data && typeof data === 'object' ? [data] : [];
+}
+
+/* Problems of one JSON-LD item: missing @context/@type or required properties */
+function jsonLdProblems(item){
+  const problems = [];
+  const context = JSON.stringify(item['@context'] || '');
+  if(!/schema\.org/i.test(context)) problems.push('no schema.org @context');
+  const types = [].concat(item['@type'] || []);
+  if(!types.length) problems.push('no @type');
+  types.forEach(type => {
+    const has = prop => item[prop] !== undefined && item[prop] !== '' && !(Array.isArray(item[prop]) && !item[prop].length);
+    (JSONLD_REQUIRED[type] || []).forEach(req => {
+      if(!req.split('|').some(has)) problems.push(`${type} missing ${req.replace(/\|/g, ' or ')}`);
+    });
+  });
+  return problems;
+}
+
+/* Valid hreflang: x-default or language[-Script][-REGION] */
+function validHreflang(code){
+  return /^x-default$/i.test(code) || /^[a-z]{2,3}(-[a-z]{4})?(-([a-z]{2}|\d{3}))?$/i.test(code);
+}
+
+function metaContent(doc, selector){
+  const el = doc.querySelector(selector);
+  return el ? (el.getAttribute('content') || '').trim() : '';
+}
+
+/* ======= Rules ======= */
+registerRule({
+  id: 'seo/title', severity: 'warn', wcag: ['2.4.2'],
+  description: 'The page has a non-empty <title>', fix: 'Add a clear title tag for SEO and usability.',
+  check(ctx){
+    const title = ctx.doc.querySelector('title');
+    if(!title || !title.textContent.trim()) ctx.report('Missing <title> tag');
+  }
+});
+
+registerRule({
+  id: 'seo/title-length', severity: 'info', options: {min: 10, max: 60},
+  description: 'The title fits in search results (10-60 characters)', fix: 'Keep titles short enough not to be cut off, but descriptive.',
+  check(ctx){
+    const title = (ctx.doc.querySelector('title') || {textContent: ''}).textContent.trim();
+    if(!title) return;
+    const {min, max} = ctx.options;
+    if(title.length < min) ctx.report(`Title is short (${title.length} characters, aim for ${min}-${max})`);
+    else if(title.length > max) ctx.report(`Title is long (${title.length} characters, aim for ${min}-${max})`);
+  }
+});
+
+registerRule({
+  id: 'seo/meta-description', severity: 'warn',
+  description: 'The page has a meta description', fix: 'Add a meta description for previews.',
+  check(ctx){
+    if(!metaContent(ctx.doc, 'meta[name="description"]')) ctx.report('Missing meta description');
+  }
+});
+
+registerRule({
+  id: 'seo/description-length', severity: 'info', options: {min: 50, max: 160},
+  description: 'The meta description fits in search results (50-160 characters)', fix: 'Write a one or two sentence summary of the page.',
+  check(ctx){
+    const desc = metaContent(ctx.doc, 'meta[name="description"]');
+    if(!desc) return;
+    const {min, max} = ctx.options;
+    if(desc.length < min) ctx.report(`Meta description is short (${desc.length} characters, aim for ${min}-${max})`);
+    else if(desc.length > max) ctx.report(`Meta description is long (${desc.length} characters, aim for ${min}-${max})`);
+  }
+});
+
+registerRule({
+  id: 'seo/h1', severity: 'warn',
+  description: 'The page has an H1', fix: 'Add a single H1 for page structure.',
+  check(ctx){
+    const h1s = ctx.$$('h1');
+    if(!h1s.length) ctx.report('No H1 found');
+    else if(h1s.length === 1) ctx.pass('Single H1 found');
+  }
+});
+
+registerRule({
+  id: 'seo/multiple-h1', severity: 'info',
+  description: 'The page has at most one H1', fix: 'Keep one H1 for the page topic and use H2-H6 below it.',
+  check(ctx){
+    const h1s = ctx.$$('h1');
+    if(h1s.length > 1) ctx.report(`Multiple H1 tags (${h1s.length}) — check semantics`, h1s);
+  }
+});
+
+registerRule({
+  id: 'seo/canonical-missing', severity: 'info',
+  description: 'The page declares a canonical URL', fix: 'Add <link rel="canonical" href="https://..."> with the preferred URL.',
+  check(ctx){
+    if(!ctx.doc.querySelector('link[rel~="canonical"]')) ctx.report('No canonical link');
+  }
+});
+
+registerRule({
+  id: 'seo/canonical', severity: 'warn',
+  description: 'The canonical link is single, absolute and on the same site', fix: 'Use one absolute canonical URL on this site, without a #fragment.',
+  check(ctx){
+    const links = ctx.$$('link[rel~="canonical"]');
+    if(!links.length) return;
+    const link = links[0];
+    const href = (link.getAttribute('href') || '').trim();
+    let target = null;
+    try{ target = new URL(href, ctx.response.finalUrl || ctx.url); }catch(e){}
+    if(!href || !target || !/^https?:$/.test(target.protocol)){ ctx.report(`Canonical link has an invalid href: "${href}"`, [link]); return; }
+    const problems = [];
+    if(links.length > 1) problems.push(`${links.length} canonical links (search engines may ignore all of them)`);
+    if(!/^https?:\/\//i.test(href)) problems.push('Canonical link is relative');
+    if(target.hash) problems.push('Canonical URL contains a #fragment');
+    const page = new URL(ctx.response.finalUrl || ctx.url);
+    if(target.hostname !== page.hostname) problems.push(`Canonical points to another host: ${target.hostname}`);
+    else if(target.protocol !== page.protocol) problems.push(`Canonical switches protocol to ${target.protocol.replace(':', '')}`);
+    if(problems.length) problems.forEach((text, i) => ctx.report(text, i === 0 && links.length > 1 ? links : [link]));
+    else if(target.href !== page.href.replace(/#.*$/, '')) ctx.pass(`Canonical points to ${target.href}`);
+    else ctx.pass('Canonical points to this page');
+  }
+});
+
+registerRule({
+  id: 'seo/robots-meta', severity: 'warn',
+  description: 'The page is indexable (no noindex/nofollow in meta robots or X-Robots-Tag)', fix: 'Remove noindex/nofollow if the page should appear in search results.',
+  check(ctx){
+    const sources = ctx.$$('meta[name]').filter(el => /^(robots|googlebot)$/i.test(el.getAttribute('name'))).map(el => ({label: `meta ${el.getAttribute('name').toLowerCase()}`, value: el.getAttribute('content') || '', el}));
+    const header = (ctx.response.headers || {})['x-robots-tag'];
+    if(header) sources.push({label: 'X-Robots-Tag header', value: header, el: null});
+    sources.forEach(({label, value, el}) => {
+      const tokens = value.toLowerCase().split(/[\s,]+/);
+      const blocked = ['noindex', 'nofollow', 'none'].filter(t => tokens.includes(t));
+      if(blocked.length) ctx.report(`${blocked.join(', ')} in ${label}`, el ? [el] : null);
+    });
+  }
+});
+
+registerRule({
+  id: 'seo/robots-txt', severity: 'warn',
+  description: 'robots.txt lets crawlers fetch the page', fix: 'Remove the Disallow rule that matches this page from robots.txt.',
+  check(ctx){
+    const seo = ctx.meta.seo;
+    if(!seo) return;
+    if(seo.robots.text === null){ ctx.pass(`No robots.txt (HTTP ${seo.robots.status || 'error'}): crawling is allowed`); return; }
+    const page = ctx.response.finalUrl || ctx.url;
+    if(!robotsAllows(seo.robots.parsed, page)) ctx.report('robots.txt disallows this page for all crawlers (User-agent: *)');
+    else if(!robotsAllows(seo.robots.parsed, page, 'googlebot')) ctx.report('robots.txt disallows this page for Googlebot');
+    else ctx.pass('robots.txt allows this page');
+  }
+});
+
+registerRule({
+  id: 'seo/sitemap', severity: 'info',
+  description: 'The page is listed in the sitemap', fix: 'List indexable pages in sitemap.xml and reference it from robots.txt.',
+  check(ctx){
+    const seo = ctx.meta.seo;
+    if(!seo) return;
+    if(seo.sitemap.text === null){ ctx.report(`No sitemap found at ${seo.sitemap.url} (HTTP ${seo.sitemap.status || 'error'})`); return; }
+    const partial = seo.sitemap.index && seo.sitemap.index.read < seo.sitemap.index.sitemaps ? ` (read ${seo.sitemap.index.read} of ${seo.sitemap.index.sitemaps} sitemaps)` : '';
+    if(sitemapLists(seo.sitemap, ctx.url) || sitemapLists(seo.sitemap, ctx.response.finalUrl || ctx.url)) ctx.pass('Listed in the sitemap');
+    else ctx.report(`Not listed in the sitemap${partial}`);
+  }
+});
+
+registerRule({
+  id: 'seo/open-graph', severity: 'warn',
+  description: 'Open Graph tags are complete (og:title, og:type, og:image, og:url, og:description)', fix: 'Add the missing og:* meta tags so shared links get a proper preview.',
+  check(ctx){
+    const props = ['og:title', 'og:type', 'og:image', 'og:url', 'og:description'];
+    const missing = props.filter(p => !metaContent(ctx.doc, `meta[property="${p}"]`));
+    if(missing.length === props.length) ctx.report('No Open Graph tags');
+    else if(missing.length) ctx.report(`Open Graph incomplete: missing ${missing.join(', ')}`);
+    else ctx.pass('Open Graph tags complete');
+  }
+});
+
+registerRule({
+  id: 'seo/twitter-card', severity: 'info',
+  description: 'A Twitter/X card is declared with its title and image', fix: 'Add twitter:card (falls back to og:* for title, description and image).',
+  check(ctx){
+    const tw = name => metaContent(ctx.doc, `meta[name="twitter:${name}"], meta[property="twitter:${name}"]`);
+    const og = name => metaContent(ctx.doc, `meta[property="og:${name}"]`);
+    const card = tw('card');
+    if(!card){ ctx.report('No twitter:card meta tag'); return; }
+    if(!['summary', 'summary_large_image', 'app', 'player'].includes(card)) ctx.report(`Unknown twitter:card type "${card}"`);
+    const missing = [];
+    if(!tw('title') && !og('title')) missing.push('twitter:title');
+    if(card === 'summary_large_image' && !tw('image') && !og('image')) missing.push('twitter:image');
+    if(missing.length) ctx.report(`Twitter card incomplete: missing ${missing.join(', ')}`);
+    else ctx.pass(`Twitter card: ${card}`);
+  }
+});
+
+registerRule({
+  id: 'seo/hreflang', severity: 'warn',
+  description: 'hreflang alternates are valid, absolute, unique and include the page itself', fix: 'Use valid language codes with absolute URLs, one per language, and list the page itself.',
+  check(ctx){
+    const links = ctx.$$('link[rel~="alternate"][hreflang]');
+    if(!links.length) return;
+    const page = (ctx.response.finalUrl || ctx.url).replace(/#.*$/, '');
+    let problems = 0;
+    const report = (text, elements) => { problems++; ctx.report(text, elements); };
+    const seen = new Map();
+    const selfCodes = [];
+    links.forEach(link => {
+      const code = (link.getAttribute('hreflang') || '').trim();
+      const href = (link.getAttribute('href') || '').trim();
+      if(!validHreflang(code)) report(`Invalid hreflang code "${code}"`, [link]);
+      if(!/^https?:\/\//i.test(href)) report(`hreflang="${code}" uses a relative URL`, [link]);
+      const key = code.toLowerCase();
+      if(seen.has(key) && seen.get(key) !== href) report(`hreflang="${code}" points at two different URLs`, [link]);
+      seen.set(key, href);
+      try{ if(new URL(href, page).href === page) selfCodes.push(key); }catch(e){}
+    });
+    if(!selfCodes.length) report('hreflang set does not include this page (missing self-reference)', links);
+    // the page's own hreflang should agree with <html lang>
+    const lang = (ctx.doc.documentElement.getAttribute('lang') || '').toLowerCase();
+    if(lang && selfCodes.length && !selfCodes.some(c => c === 'x-default' || c.split('-')[0] === lang.split('-')[0])){
+      report(`<html lang="${lang}"> does not match the page's own hreflang (${selfCodes.join(', ')})`);
+    }
+    if(!problems) ctx.pass(`${links.length} hreflang alternates${seen.has('x-default') ? '' : ' (no x-default)'}`);
+  }
+});
+
+registerRule({
+  id: 'seo/structured-data', severity: 'warn',
+  description: 'JSON-LD structured data parses and has @type plus required properties', fix: 'Fix the JSON-LD so it parses, and add the properties required for its @type.',
+  check(ctx){
+    const blocks = ctx.$$('script[type]').filter(s => /^application\/ld\+json$/i.test(s.getAttribute('type').trim()));
+    const types = [];
+    blocks.forEach(block => {
+      let data;
+      try{ data = JSON.parse(block.textContent); }
+      catch(e){ ctx.report(`JSON-LD does not parse: ${e.message}`, [block]); return; }
+      jsonLdItems(data).forEach(item => {
+        types.push(...[].concat(item['@type'] || []));
+        const problems = jsonLdProblems(item);
+        if(problems.length) ctx.report(`JSON-LD ${[].concat(item['@type'] || ['item']).join('/')}: ${problems.join('; ')}`, [block]);
+      });
+    });
+    if(types.length) ctx.pass(`Structured data: ${Array.from(new Set(types)).join(', ')}`);
+  }
+});
@@ -0,0 +1,197 @@
+/* scaffold.js — turn the rebuilt site into a ready-to-run project (processSite's opts.scaffold)
+   - package.json with a local dev server script, .editorconfig, Prettier config, VS Code settings & recommended extensions
+   - Pages, stylesheets and scripts go through Prettier when it is loaded (the app fetches it on demand, the CLI requires it)
+   - ORIGIN.md maps every local file back to the URL it came from
+   - The vite template moves the assets under public/ and lists every page as a build input
+   Loaded after report.js; the pipeline in core.js calls scaffoldProject() once the pages are written.
+*/
+
+/* ======= Configuration ======= */
+const SCAFFOLD_TEMPLATES = {
+  none: {label: 'Plain folders'},
+  static: {label: 'Project (package.json, dev server, Prettier)'},
+  vite: {label: 'Vite project'}
+};
+const SCAFFOLD_VERSIONS = {prettier: '^3.9.9', serve: '^14.2.6', vite: '^8.3.2'}; // devDependencies of the generated package.json
+const PRETTIER_OPTIONS = {printWidth: 100}; // used for the formatting pass and written to .prettierrc.json
+const PRETTIER_PARSERS = {html: 'html', htm: 'html', css: 'css', js: 'babel', mjs: 'babel', json: 'json'};
+const PRETTIER_MAX_BYTES = 512 * 1024; // bigger files (bundles) are left as they are: formatting them takes too long
+const EDITORCONFIG = `root = true
+
+[*]
+charset = utf-8
+end_of_line = lf
+indent_style = space
+indent_size = 2
+insert_final_newline = true
+trim_trailing_whitespace = true
+
+[*.md]
+trim_trailing_whitespace = false
+`;
+
+/* ======= Formatting ======= */
+/* Run the project's HTML, CSS, JS and JSON through Prettier, which also de-minifies them. Files it cannot parse,
+   oversized and non-UTF-8 files stay as they were; pages[].html follows the formatted text.
+   The audit/ folder is skipped, except the pre-fix pages (fixes.js) so fixes.patch only shows the fixes. */
+async function formatProjectFiles(site, pages){
+  if(typeof prettier === 'undefined'){
+    log('Prettier is not loaded: files are saved as downloaded');
+    return;
+  }
+  const plugins = typeof prettierPlugins === 'undefined' ? [] : Object.values(prettierPlugins); // the standalone build needs its parsers passed in
+  const paths = [];
+  site.root.forEach((path, entry) => {
+    if(!entry.dir && (!path.startsWith('audit/') || path.startsWith(FIX_ORIGINALS)) && PRETTIER_PARSERS[extOf(path)]) paths.push(path);
+  });
+  let formatted = 0;
+  for(const path of paths){
+    const text = await site.root.file(path).async('string');
+    if(text.length > PRETTIER_MAX_BYTES){ log(`Not formatted (${formatBytes(text.length)}): ${path}`); continue; }
+    if(text.includes('\uFFFD')){ log(`Not formatted (not UTF-8): ${path}`); continue; }
+    try{
+      const out = await prettier.format(text, Object.assign({parser: PRETTIER_PARSERS[extOf(path)], plugins}, PRETTIER_OPTIONS));
+      site.root.file(path, out);
+      pages.filter(p => p.path === path).forEach(p => { p.html = out; });
+      formatted++;
+    }catch(e){
+      log(`Prettier could not format ${path}: ${String(e.message).split('\n')[0]}`);
+    }
+  }
+  log(`Formatted ${formatted} of ${paths.length} file(s) with Prettier`);
+}
+
+/* ======= Project files ======= */
+/* npm package name from the scanned host: www.example.com -> www.example.com, odd characters become dashes */
+function projectName(url){
+  return (domainFromUrl(url) || 'site').toLowerCase().replace(/[^a-z0-9._-]+/g, '-').replace(/^[._-]+/, '') || 'site';
+}
+
+/* vite.config.js: a multi-page build with one input per saved page */
+function viteConfig(pages){
+  const inputs = pages.map(p => `        ${JSON.stringify(pageSlug(p.path))}: fileURLToPath(new URL(${JSON.stringify('./' + p.path)}, import.meta.url))`);
+  return `import { fileURLToPath } from "node:url";
+import { defineConfig } from "vite";
+
+// Every page of the scanned site is an entry of the multi-page build; css/, js/, images/, fonts/ and media/
+// live in public/ and are copied to dist/ as they are.
+export default defineConfig({
+  build: {
+    rolldownOptions: {
+      input: {
+${inputs.join(',\n')}
+      }
+    }
+  }
+});
+`;
+}
+
+/* Path -> content of the scaffold files for a template ('static' or 'vite') */
+function scaffoldFiles(template, url, pages){
+  const vite = template === 'vite';
+  const json = value => JSON.stringify(value, null, 2) + '\n';
+  const pkg = {
+    name: projectName(url),
+    version: '0.0.0',
+    private: true,
+    description: `Generated by Axis from ${url}`,
+    type: vite ? 'module' : undefined,
+    scripts: vite
+      ? {dev: 'vite', build: 'vite build', preview: 'vite preview', format: 'prettier --write .'}
+      : {dev: 'serve .', format: 'prettier --write .'},
+    devDependencies: vite
+      ? {prettier: SCAFFOLD_VERSIONS.prettier, vite: SCAFFOLD_VERSIONS.vite}
+      : {prettier: SCAFFOLD_VERSIONS.prettier, serve: SCAFFOLD_VERSIONS.serve}
+  };
+  const files = {
+    'package.json': json(pkg),
+    '.editorconfig': EDITORCONFIG,
+    '.prettierrc.json': json(PRETTIER_OPTIONS),
+    '.prettierignore': 'audit/\nREADME.md\nORIGIN.md\n' + (vite ? 'dist/\n' : ''),
+    '.gitignore': vite ? 'node_modules/\ndist/\n' : 'node_modules/\n',
+    '.vscode/settings.json': json({
+      'editor.defaultFormatter': 'esbenp.prettier-vscode',
+      'editor.formatOnSave': true,
+      'files.eol': '\n'
+    }),
+    '.vscode/extensions.json': json({recommendations: ['esbenp.prettier-vscode', 'editorconfig.editorconfig']})
+  };
+  if(vite) files['vite.config.js'] = viteConfig(pages);
+  return files;
+}
+
+/* Vite serves public/ at the site root: everything but the pages, the audit and the README moves there */
+function moveToPublic(root, pagePaths){
+  const moves = [];
+  root.forEach((path, entry) => {
+    if(!entry.dir && !pagePaths.has(path) && !path.startsWith('audit/') && path !== 'README.md') moves.push([path, entry]);
+  });
+  moves.forEach(([path, entry]) => {
+    root.file('public/' + path, entry.async('uint8array'));
+    root.remove(path);
+  });
+  ['css', 'js', 'images', 'fonts', 'media'].forEach(dir => {
+    root.remove(dir);
+    root.folder('public/' + dir);
+  });
+}
+
+/* ======= ORIGIN.md ======= */
+function mdCell(s){
+  return String(s).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+/* Local file -> source URL for the pages, every downloaded asset and the files made from inline code.
+   place(path) gives a file's location in the final layout (public/ for the Vite template). */
+function buildOriginMap(site, pages, url, place){
+  const sources = new Map(); // local path -> [source]
+  const add = (path, source) => {
+    path = place(path);
+    if(!sources.has(path)) sources.set(path, []);
+    if(!sources.get(path).includes(source)) sources.get(path).push(source);
+  };
+  pages.forEach(p => add(p.path, p.baseUrl !== p.url ? `${p.url} (redirected to ${p.baseUrl})` : p.url));
+  site.manifest.forEach((entry, assetUrl) => { if(entry.path) add(entry.path, assetUrl); });
+  site.generated.forEach((list, path) => list.forEach(source => add(path, source)));
+  const rows = Array.from(sources.keys()).sort().map(path => `| ${mdCell(path)} | ${sources.get(path).map(mdCell).join('<br>')} |`);
+  return `# File origins
+Every file of this project and where it came from. Scanned ${url} on ${new Date().toISOString()}.
+Files that hold identical content from several URLs list each of them.
+
+| Local file | Source |
+| --- | --- |
+${rows.join('\n')}
+
+Not listed: README.md, ORIGIN.md, the audit/ folder and the project setup files, which Axis writes itself.
+`;
+}
+
+/* ======= Scaffold ======= */
+/* Write the project around the saved site for opts.scaffold ('static' or 'vite'). The pages must already be
+   written with their asset references root-relative for Vite (see processPage). */
+async function scaffoldProject(site, pages, {url, template}){
+  const vite = template === 'vite';
+  const pagePaths = new Set(pages.map(p => p.path));
+  if(vite) moveToPublic(site.root, pagePaths);
+  Object.entries(scaffoldFiles(template, url, pages)).forEach(([path, content]) => site.root.file(path, content));
+  await formatProjectFiles(site, pages);
+  site.root.file('ORIGIN.md', buildOriginMap(site, pages, url, path => vite && !pagePaths.has(path) ? 'public/' + path : path));
+}
+
+/* README lines for the project setup */
+function scaffoldReadme(template){
+  if(template === 'vite') return `
+Run it:
+- npm install
+- npm run dev (Vite dev server), npm run build (multi-page build into dist/), npm run format (Prettier)
+- Pages stay at the root; css/, js/, images/, fonts/ and media/ are in public/ and are referenced from the site root (/css/...).
+- ORIGIN.md lists the source URL of every file
+`;
+  return `
+Run it:
+- npm install
+- npm run dev (local server on http://localhost:3000), npm run format (Prettier)
+- ORIGIN.md lists the source URL of every file
+`;
+}
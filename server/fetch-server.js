@@ -0,0 +1,131 @@
+/* fetch-server.js — local fetch backend for Axis
+   - Replaces the public CORS proxy: `node server/fetch-server.js` then pick "Local Node fetcher" in the UI
+   - GET /fetch?url=<absolute url>[&maxBytes=N][&body=0] returns the upstream bytes unchanged (body=0: status only, for link checks)
+   - Upstream status, final URL, redirect hops and headers are exposed as X-Axis-* response headers
+   - Listens on 127.0.0.1 only by default: this is an open proxy, do not expose it publicly
+   - Only pages from AXIS_ALLOW_ORIGIN may call it from a browser (default: the hosted app and localhost); other origins get 403
+   Requires Node 18+ (global fetch), no dependencies.
+*/
+'use strict';
+
+const http = require('http');
+
+/* ======= Configuration ======= */
+const PORT = parseInt(process.env.PORT || process.argv[2], 10) || 8787;
+const HOST = process.env.HOST || '127.0.0.1';
+const MAX_BYTES = parseInt(process.env.AXIS_MAX_BYTES, 10) || 50 * 1024 * 1024; // refuse bodies above 50MB
+const MAX_REDIRECTS = 10;
+const TIMEOUT_MS = parseInt(process.env.AXIS_TIMEOUT_MS, 10) || 30000;
+const USER_AGENT = 'Mozilla/5.0 (compatible; AxisFetcher/1.0)';
+// comma-separated origins whose pages may use the fetcher, `*` for any; an entry without a port allows every port of that host
+const ALLOW_ORIGINS = (process.env.AXIS_ALLOW_ORIGIN || 'https://axis-wasmer-app-deployments.wasmer.app,http://localhost,http://127.0.0.1')
+  .split(',').map(o => o.trim().replace(/\/+$/, '')).filter(Boolean);
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Methods': 'GET, OPTIONS',
+  'Access-Control-Expose-Headers': 'X-Axis-Status, X-Axis-Final-Url, X-Axis-Redirects, X-Axis-Headers',
+  'Vary': 'Origin'
+};
+
+/* The Origin a page may read the response from: '' without one (the CLI, curl), null when it is not allowed */
+function allowedOrigin(origin){
+  if(!origin) return '';
+  if(ALLOW_ORIGINS.includes('*') || ALLOW_ORIGINS.includes(origin)) return origin;
+  return ALLOW_ORIGINS.includes(origin.replace(/:\d+$/, '')) ? origin : null;
+}
+
+/* Follow redirects by hand so the final URL and every hop ([{url, status}]) are known even when the runtime hides them */
+async function fetchUpstream(url){
+  let current = url;
+  const redirects = [];
+  for(let hop = 0; hop <= MAX_REDIRECTS; hop++){
+    const res = await fetch(current, {
+      redirect: 'manual',
+      headers: {'User-Agent': USER_AGENT, 'Accept': '*/*'},
+      signal: AbortSignal.timeout(TIMEOUT_MS)
+    });
+    const location = res.headers.get('location');
+    if(res.status >= 300 && res.status < 400 && location){
+      if(res.body) await res.body.cancel();
+      redirects.push({url: current, status: res.status});
+      current = new URL(location, current).href;
+      continue;
+    }
+    return {res, finalUrl: current, redirects};
+  }
+  throw new Error(`Too many redirects (>${MAX_REDIRECTS})`);
+}
+
+/* Read the body, stopping once it passes maxBytes */
+async function readBody(res, maxBytes){
+  const declared = parseInt(res.headers.get('content-length'), 10);
+  if(declared > maxBytes) throw new Error(`Response larger than ${maxBytes} bytes`);
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of res.body || []){
+    size += chunk.length;
+    if(size > maxBytes) throw new Error(`Response larger than ${maxBytes} bytes`);
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks.map(c => Buffer.from(c)));
+}
+
+function sendError(res, code, message){
+  res.writeHead(code, Object.assign({'Content-Type': 'application/json'}, CORS_HEADERS));
+  res.end(JSON.stringify({error: message}));
+}
+
+async function handleFetch(req, res, target, maxBytes, withBody){
+  let url;
+  try{ url = new URL(target || ''); }
+  catch(e){ return sendError(res, 400, 'Missing or invalid ?url= parameter'); }
+  if(!/^https?:$/.test(url.protocol)) return sendError(res, 400, 'Only http(s) URLs can be fetched');
+
+  try{
+    const {res: upstream, finalUrl, redirects} = await fetchUpstream(url.href);
+    let body = Buffer.alloc(0);
+    if(withBody) body = await readBody(upstream, Math.min(maxBytes || MAX_BYTES, MAX_BYTES));
+    else if(upstream.body) await upstream.body.cancel();
+    const headers = Object.fromEntries(upstream.headers);
+    res.writeHead(200, Object.assign({
+      'Content-Type': 'application/octet-stream',
+      'Content-Length': body.length,
+      'X-Axis-Status': String(upstream.status),
+      'X-Axis-Final-Url': encodeURI(finalUrl),
+      'X-Axis-Redirects': encodeURIComponent(JSON.stringify(redirects)),
+      'X-Axis-Headers': encodeURIComponent(JSON.stringify(headers))
+    }, CORS_HEADERS));
+    res.end(body);
+    console.log(`${upstream.status} ${url.href}${finalUrl !== url.href ? ' -> ' + finalUrl : ''} (${body.length} bytes)`);
+  }catch(e){
+    console.log(`ERR ${url.href} — ${e.message}`);
+    sendError(res, 502, e.message);
+  }
+}
+
+const server = http.createServer((req, res)=>{
+  const reqUrl = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  // any page could otherwise read what the fetcher reaches (intranet hosts included) through the user's browser
+  const origin = allowedOrigin(req.headers.origin);
+  if(origin === null){
+    console.log(`Refused origin ${req.headers.origin} (see AXIS_ALLOW_ORIGIN)`);
+    return sendError(res, 403, 'Origin not allowed');
+  }
+  if(origin) res.setHeader('Access-Control-Allow-Origin', origin);
+  if(req.method === 'OPTIONS'){ res.writeHead(204, CORS_HEADERS); return res.end(); }
+  if(req.method !== 'GET') return sendError(res, 405, 'Method not allowed');
+  if(reqUrl.pathname === '/health'){
+    res.writeHead(200, Object.assign({'Content-Type': 'application/json'}, CORS_HEADERS));
+    return res.end(JSON.stringify({ok: true}));
+  }
+  if(reqUrl.pathname === '/fetch'){
+    const params = reqUrl.searchParams;
+    return handleFetch(req, res, params.get('url'), parseInt(params.get('maxBytes'), 10), params.get('body') !== '0');
+  }
+  sendError(res, 404, 'Not found');
+});
+
+server.listen(PORT, HOST, ()=>{
+  console.log(`Axis fetch server listening on http://${HOST}:${PORT} (GET /fetch?url=...)`);
+  console.log(`Allowed origins: ${ALLOW_ORIGINS.join(', ')}`);
+});
@@ -0,0 +1,25 @@
+/* cli.test.js — bin/axis.js argument checks (run with `npm test`) */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {spawnSync} = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CLI = path.join(__dirname, '..', 'bin', 'axis.js');
+
+function run(args){
+  return spawnSync(process.execPath, [CLI].concat(args), {encoding: 'utf8', timeout: 60000});
+}
+
+test('--warc is refused with a proxy backend, before anything is fetched', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'axis-cli-'));
+  const warc = path.join(dir, 'site.warc');
+  // nothing listens on port 9: a fetch would fail as a fatal error instead of a usage error
+  const r = run(['scan', 'https://example.com/', '--backend', 'custom', '--proxy', 'http://127.0.0.1:9/?url={url}', '--warc', warc, '--out', path.join(dir, 'site.zip')]);
+  assert.strictEqual(r.status, 2);
+  assert.match(r.stderr, /^--warc needs the site's own responses, which the custom backend does not see/);
+  assert.ok(!fs.existsSync(warc));
+});
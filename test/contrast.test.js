@@ -0,0 +1,55 @@
+/* contrast.test.js — a11y/color-contrast on a folder input, read back from the CLI's JSON report (run with `npm test`) */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {spawnSync} = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CLI = path.join(__dirname, '..', 'bin', 'axis.js');
+const LIGHT = 'p{color:#eee}'; // 1.16:1 on the default white
+
+/* Scan a folder holding files ({name: text}) and return its a11y/color-contrast finding */
+function contrastFinding(files){
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'axis-contrast-'));
+  const site = path.join(dir, 'site');
+  fs.mkdirSync(site);
+  Object.entries(files).forEach(([name, text]) => fs.writeFileSync(path.join(site, name), text));
+  const report = path.join(dir, 'report.json');
+  const r = spawnSync(process.execPath, [CLI, 'scan', '--input', site, '--out', path.join(dir, 'site.zip'), '--report', report, '--quiet'], {encoding: 'utf8', timeout: 60000});
+  assert.strictEqual(r.status, 0, r.stderr);
+  return JSON.parse(fs.readFileSync(report, 'utf8')).findings.find(f => f.rule === 'a11y/color-contrast');
+}
+
+const page = head => `<html lang="en"><head><title>T</title>${head}</head><body><p>Hello</p></body></html>`;
+
+test('a linked sheet with low contrast fails', () => {
+  const finding = contrastFinding({'index.html': page('<link rel="stylesheet" href="light.css">'), 'light.css': LIGHT});
+  assert.strictEqual(finding.level, 'warn');
+  assert.strictEqual(finding.text, '1 text element(s) below the contrast minimum');
+});
+
+test('a sheet linked with media="print" does not apply', () => {
+  const finding = contrastFinding({'index.html': page('<link rel="stylesheet" href="light.css" media="print">'), 'light.css': LIGHT});
+  assert.strictEqual(finding.text, 'Contrast OK for 1 text element(s)');
+});
+
+test('the same sheet wrapped in @media print does not apply', () => {
+  const finding = contrastFinding({'index.html': page('<link rel="stylesheet" href="light.css">'), 'light.css': `@media print{${LIGHT}}`});
+  assert.strictEqual(finding.text, 'Contrast OK for 1 text element(s)');
+});
+
+test('<style media="print"> and @import ... print do not apply', () => {
+  assert.strictEqual(contrastFinding({'index.html': page(`<style media="print">${LIGHT}</style>`)}).text, 'Contrast OK for 1 text element(s)');
+  const imported = contrastFinding({'index.html': page('<link rel="stylesheet" href="main.css">'), 'main.css': '@import url(light.css) print;', 'light.css': LIGHT});
+  assert.strictEqual(imported.text, 'Contrast OK for 1 text element(s)');
+});
+
+test('a sheet for screens in dark mode does not apply, one for wide screens does', () => {
+  const dark = contrastFinding({'index.html': page('<link rel="stylesheet" href="light.css" media="(prefers-color-scheme: dark)">'), 'light.css': LIGHT});
+  assert.strictEqual(dark.text, 'Contrast OK for 1 text element(s)');
+  const wide = contrastFinding({'index.html': page('<link rel="stylesheet" href="light.css" media="screen and (min-width: 40em)">'), 'light.css': LIGHT});
+  assert.strictEqual(wide.text, '1 text element(s) below the contrast minimum');
+});